@@ -0,0 +1,84 @@
+/**
+ * Runs the exported parsing and profit math against the example payloads in this directory.
+ * Most of them are hand-written rather than captured, see "Using the calculations from Node"
+ * in the README.
+ *
+ * Usage: node fixtures/check.js
+ */
+'use strict';
+
+const assert = require('node:assert/strict');
+const {
+    PREMIUM_TAX_MULTIPLIER,
+    buildPriceTable,
+    buildOrderBooks,
+    parseInventory,
+    extractVendorItems,
+    calculateBuyCost,
+    calculateReferencePrice,
+    calculateXpPerHour,
+    calculateProfit,
+} = require('../index.js');
+
+const skills = require('./skills-smelting.json');
+const market = require('./market-items.json');
+const listings = require('./market-listings.json');
+const shop = require('./shop.json');
+const inventory = require('./inventory.json');
+
+const recipes = Object.fromEntries(skills.items.map(recipe => [recipe.name, recipe]));
+const options = { taxMultiplier: PREMIUM_TAX_MULTIPLIER, priceOverrides: {} };
+
+// Only tier 1 prices make it into the table, with thousands separators parsed
+const prices = buildPriceTable(market.data, 0);
+assert.deepEqual(Object.keys(prices).sort(), ['Coal', 'Copper Bar', 'Copper Ore', 'Iron Bar', 'Iron Ore']);
+assert.equal(prices['Copper Bar'].minimumPrice, 52);
+assert.equal(buildPriceTable(market.data.filter(item => item.tier === 2), 0)['Copper Bar'], undefined);
+
+// Copper Bar: 600 crafts/hr, sells for floor(52 * 0.88) = 45, costs 2 * 14 + 9 = 37
+const copperBar = calculateProfit(recipes['Copper Bar'], prices, options);
+assert.equal(copperBar.craftsPerHour, 600);
+assert.equal(copperBar.sellPriceWithTax, 45);
+assert.equal(copperBar.profitPerHour, 4800);
+assert.equal(copperBar.xpPerHour, 4800);
+assert.equal(copperBar.goldPerXp, 1);
+
+// Iron Bar: 400 crafts/hr, sells for floor(112 * 0.88) = 98, costs 2 * 38 + 2 * 9 = 94
+const ironBar = calculateProfit(recipes['Iron Bar'], prices, options);
+assert.equal(ironBar.profitPerHour, 1600);
+assert.equal(calculateXpPerHour(recipes['Iron Bar']), 6000);
+
+// A missing input price is reported by name
+const withoutCoal = Object.assign({}, prices);
+delete withoutCoal['Coal'];
+assert.throws(() => calculateProfit(recipes['Iron Bar'], withoutCoal, options), /No price for Coal/);
+
+// Listings are grouped into one book per item, cheapest first
+const books = buildOrderBooks(listings.data, 0);
+assert.equal(books.length, 1);
+assert.equal(books[0].itemId, 31);
+assert.deepEqual(books[0].levels.map(level => level.price), [9, 11, 1012]);
+assert.equal(buildPriceTable(listings.data, 0)['Coal'].minimumPrice, 9);
+const nested = listings.data.map(({ id, name, tier, price, quantity }) => ({ id: id + 1000, price: price.minimum, quantity, item: { id, name, tier } }));
+assert.deepEqual(buildOrderBooks(nested, 0), books);
+assert.throws(() => calculateBuyCost([], 1), /Order book has no listings/);
+assert.equal(calculateBuyCost([], 0), 0);
+
+// With the book attached, an hour's 600 Coal costs 250 * 9 + 3 * 11 + 347 * 1012
+const withBook = Object.assign({}, prices, { Coal: Object.assign({}, prices['Coal'], { levels: books[0].levels }) });
+const copperBarByDepth = calculateProfit(recipes['Copper Bar'], withBook, options);
+assert.equal(copperBarByDepth.requirements.find(input => input.name === 'Coal').source, 'order book');
+assert.equal(copperBarByDepth.profitPerHour, (45 - 28) * 600 - (250 * 9 + 3 * 11 + 347 * 1012));
+
+// Reference prices say when they fell back to the latest minimum
+assert.deepEqual(calculateReferencePrice(prices['Coal'], { strategy: 'depth', levels: books[0].levels, minQuantity: 252 }), { price: 11, strategy: 'depth' });
+assert.deepEqual(calculateReferencePrice(prices['Coal'], { strategy: 'median', history: [] }), { price: 9, strategy: 'minimum' });
+
+// Only gold shop items are vendor prices
+assert.deepEqual(extractVendorItems(shop).map(item => item.name), ['Cheap Bait', 'Tarnished Bait', 'Gleaming Bait']);
+
+// Inventory stacks without a tier count as tier 1
+assert.deepEqual(parseInventory(inventory).find(stack => stack.name === 'Cheap Bait'), { name: 'Cheap Bait', tier: 1, quantity: 15 });
+assert.equal(parseInventory({ data: [] }), null);
+
+console.log('All fixture checks passed');
@@ -1,32 +1,148 @@
 // ==UserScript==
 // @name         IdleMMO Market Data Helper
 // @namespace    web-idle-mmo-market-helper
-// @version      0.5
+// @version      0.6
 // @description  Intercepts API requests on the market and stores data into a local database, then displays profit/hr on skill pages.
 // @author       rannmann
 // @match        https://web.idle-mmo.com/*
 // @run-at       document-start
 // @icon         data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==
 // @grant        GM_log
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_notification
 // ==/UserScript==
 
 (function() {
     'use strict';
 
     /** Configuration */
-    // Set this to true if you have premium membership (12% market tax)
-    // Set this to false if you don't have premium (15% market tax)
-    const HAS_PREMIUM = false;
+    // Market tax multipliers with premium membership (12% market tax) and without (15% market tax)
+    const PREMIUM_TAX_MULTIPLIER = 0.88;
+    const STANDARD_TAX_MULTIPLIER = 0.85;
 
-    // Calculate market tax multiplier based on premium status
-    const MARKET_TAX_MULTIPLIER = HAS_PREMIUM ? 0.88 : 0.85;
+    // Defaults for the in-game settings panel. Saved values are kept in userscript storage.
+    const DEFAULT_SETTINGS = {
+        hasPremium: false,
+        // Overrides the premium-based tax rate when set, eg: 12 for 12%
+        customTaxPercent: null,
+        // Prices older than this many hours are treated as unknown. 0 never expires prices.
+        stalePriceHours: 24,
+        // How market prices are picked for profits. See calculateReferencePrice.
+        priceStrategy: 'minimum',
+        // Recent observations used by the 'median' and 'trimmedMean' strategies
+        priceHistoryCount: 10,
+        // Units that must be listed at or below the price for the 'depth' strategy
+        priceDepthQuantity: 10,
+        showProfit: true,
+        showPriceAge: true,
+        showXpPerHour: true,
+        showGoldPerXp: false,
+        showChainProfit: true,
+        // Manual prices by item name. See findPriceOverride for the modes.
+        priceOverrides: {
+            // Cannot be sold on the market
+            'Cooked Cod': { mode: 'vendor', price: 2 },
+        },
+        // Price alerts by item name: { buyBelow, sellAbove, notify }. See checkWatchlist.
+        watchlist: {},
+        // Records diagnostics (see logDebug) and shows them in the settings panel
+        debug: false,
+        debugMirrorToGmLog: false,
+    };
+
+    // The most diagnostic events kept, in memory and in IndexedDB
+    const DEBUG_LOG_LIMIT = 500;
+
+    // Stores left out of exports and imports, since they only describe this browser
+    const LOCAL_ONLY_STORES = ['debugLog'];
+
+    // Columns read back from CSV as numbers. Every other column stays text (eg: 'hashed_id').
+    const NUMERIC_CSV_COLUMNS = [
+        'id', 'itemId', 'historyId', 'tier', 'minimumPrice', 'vendorPrice', 'price', 'sale_price',
+        'final_price', 'wait_length', 'experience', 'lastSeen', 'lastRecorded', 'capturedAt',
+    ];
+    // Columns holding objects or arrays, written to CSV as JSON
+    const JSON_CSV_COLUMNS = ['levels', 'requirements'];
+
+    // An unchanged price is added to the price history at most this often
+    const PRICE_HISTORY_INTERVAL_HOURS = 1;
+    // Price history older than this is deleted when the database opens
+    const PRICE_HISTORY_RETENTION_DAYS = 30;
+
+    // The share of the highest and lowest observations ignored by the 'trimmedMean' strategy
+    const TRIMMED_MEAN_FRACTION = 0.2;
+
+    // Intercepted endpoints that are matched by path rather than by substring, since their
+    // names are common words. See the fixtures directory for each response format.
+    const API_ROUTES = {
+        shop: /^\/api\/shop(\/[^/]+)?\/?$/,
+        inventory: /^\/api\/inventory\/?$/,
+    };
+
+    // How each price override mode is labelled as a price source
+    const OVERRIDE_SOURCES = {
+        fixed: 'fixed price',
+        vendor: 'vendor value',
+        ignore: 'ignored',
+    };
+
+    // How each reference price strategy is labelled. See calculateReferencePrice.
+    const PRICE_STRATEGIES = {
+        minimum: 'last minimum',
+        median: 'median',
+        trimmedMean: 'trimmed mean',
+        depth: 'depth',
+    };
+
+    /** Node */
+    // When loaded with require(), expose the pure calculation functions (see Calculations)
+    // instead of starting the userscript.
+    if (typeof module === 'object' && module.exports) {
+        module.exports = {
+            PREMIUM_TAX_MULTIPLIER,
+            STANDARD_TAX_MULTIPLIER,
+            DEFAULT_SETTINGS,
+            getPageFromPath,
+            parsePrice,
+            parseMarketItem,
+            extractVendorItems,
+            buildPriceTable,
+            normalizeTier,
+            calculateCraftsPerHour,
+            calculateXpPerHour,
+            buildOrderBooks,
+            parseInventory,
+            calculateBuyCost,
+            calculateReferencePrice,
+            calculateSaleValue,
+            calculateInputUnitPrice,
+            calculateProfit,
+        };
+        return;
+    }
 
     /** Global Vars */
     // Open (or create) the database
-    const request = indexedDB.open('MarketDatabase', 1);
+    const request = indexedDB.open('MarketDatabase', 8);
     let db = null;
     const stalledXHR = [];
     let currentPage = null;
+    let renderTimer = null;
+    // Vendor items by name, seeded from VENDOR_ITEMS. See getVendorItemsByName.
+    let vendorItemsByName = null;
+    // Stored prices, order books and recipes, loaded once per render. See loadPriceCache.
+    let priceCache = null;
+    // Diagnostic events for this page. See logDebug.
+    const debugLog = [];
+    // The skill window.skillItemsData was captured for, eg: 'smelting'
+    let skillItemsSkill = null;
+    // The pending wait for the skills payload, shared by a render's sections
+    let skillItemsDataWait = null;
+    // Shares captured prices with the script's other open tabs. See watchPriceBroadcasts.
+    let priceChannel = null;
+    // The recipe each profit badge was rendered for, so badges can be refreshed individually
+    const badgeRecipes = new WeakMap();
 
     /** Start */
     main();
@@ -36,6 +152,18 @@
         interceptXHR();
         registerDatabase();
         setCurrentPage();
+        watchNavigation();
+        watchPriceBroadcasts();
+
+        const onDomReady = function() {
+            renderSettingsPanel();
+            watchPageChanges();
+        };
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', onDomReady);
+        } else {
+            onDomReady();
+        }
 
         // Wait for the page to be fully loaded and Alpine to render
         // Add randomization to avoid detection patterns
@@ -47,39 +175,136 @@
     /**
      * Sets up the IndexedDB for storing market data.
      *
-     * - Creates or upgrades the 'items' object store with indexes on 'hashed_id' and 'name'.
+     * - Creates or upgrades the 'items' object store, keyed by item ID and tier (v3), with
+     *   indexes on 'name' and 'name' + 'tier'. Prices stored before v3 are migrated as tier 1.
+     * - Creates the 'priceHistory' object store (v2), holding one row per item per observation.
+     *   Old rows are pruned on connect (see prunePriceHistory).
+     * - Creates the 'orderBooks' object store (v4), holding the latest listings for each item
+     *   and tier. Books stored before v8 could be keyed by listing ID, so they are cleared.
+     * - Creates the 'recipes' object store (v5), holding captured skill recipes keyed by name.
+     * - Creates the 'vendorItems' object store (v6), holding captured shop items keyed by ID.
+     * - Creates the 'debugLog' object store (v7), holding diagnostic events when debug mode is on.
      * - Processes stalled XHR data once the database is ready.
      * - Logs errors on connection failure.
      */
     function registerDatabase() {
         request.onupgradeneeded = function(event) {
             const db = event.target.result;
+            const upgradeTransaction = event.target.transaction;
 
             if (!db.objectStoreNames.contains('items')) {
-                const objectStore = db.createObjectStore('items', { keyPath: 'id' });
-                objectStore.createIndex('name', 'name', { unique: false });
+                createItemsStore(db);
+            } else if (event.oldVersion < 3) {
+                // Items used to be keyed by ID alone. Copy the existing prices into the new store.
+                const getAllRequest = upgradeTransaction.objectStore('items').getAll();
+                getAllRequest.onsuccess = function() {
+                    db.deleteObjectStore('items');
+                    const objectStore = createItemsStore(db);
+                    getAllRequest.result.forEach(item => {
+                        item.tier = normalizeTier(item.tier);
+                        objectStore.put(item);
+                    });
+                };
+            }
+
+            if (!db.objectStoreNames.contains('priceHistory')) {
+                const historyStore = db.createObjectStore('priceHistory', { keyPath: 'historyId', autoIncrement: true });
+                historyStore.createIndex('itemId', 'itemId', { unique: false });
+                historyStore.createIndex('capturedAt', 'capturedAt', { unique: false });
+            }
+
+            if (!db.objectStoreNames.contains('orderBooks')) {
+                const orderBookStore = db.createObjectStore('orderBooks', { keyPath: ['itemId', 'tier'] });
+                orderBookStore.createIndex('nameTier', ['name', 'tier'], { unique: false });
+            } else if (event.oldVersion < 8) {
+                upgradeTransaction.objectStore('orderBooks').clear();
+            }
+
+            if (!db.objectStoreNames.contains('recipes')) {
+                const recipeStore = db.createObjectStore('recipes', { keyPath: 'name' });
+                recipeStore.createIndex('skill', 'skill', { unique: false });
+            }
+
+            if (!db.objectStoreNames.contains('vendorItems')) {
+                const vendorStore = db.createObjectStore('vendorItems', { keyPath: 'id' });
+                vendorStore.createIndex('name', 'name', { unique: false });
+            }
+
+            if (!db.objectStoreNames.contains('debugLog')) {
+                db.createObjectStore('debugLog', { keyPath: 'logId', autoIncrement: true });
             }
         };
 
         request.onsuccess = function(event) {
             db = event.target.result;
+            // Keep anything logged while the database was opening
+            storeDebugEntries(debugLog);
+            loadVendorItemsIndexedDB();
+            prunePriceHistory();
 
             // Process any stalled XHR data now that the DB is ready
             while (stalledXHR.length > 0) {
-                const data = stalledXHR.pop();
-                storeItemsIndexedDB(data);
+                const { handler, data } = stalledXHR.pop();
+                handler(data);
             }
         };
 
         request.onerror = function(event) {
-            // Silently fail
+            logDebug('database', `Failed to open MarketDatabase: ${event.target.error?.message}`);
+        };
+    }
+
+    /**
+     * Deletes price history rows older than PRICE_HISTORY_RETENTION_DAYS, so the store doesn't
+     * grow without bound.
+     */
+    function prunePriceHistory() {
+        const cutoff = Date.now() - PRICE_HISTORY_RETENTION_DAYS * 24 * 3600 * 1000;
+        const transaction = db.transaction(['priceHistory'], 'readwrite');
+        const cursorRequest = transaction.objectStore('priceHistory').index('capturedAt')
+            .openCursor(IDBKeyRange.upperBound(cutoff, true));
+
+        cursorRequest.onsuccess = function() {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
         };
+
+        transaction.onerror = function(event) {
+            logDebug('database', `Failed to prune price history: ${event.target.error?.message}`);
+        };
+    }
+
+    /**
+     * Creates the 'items' object store, keyed by item ID and tier.
+     *
+     * @param {IDBDatabase} db - The database being upgraded.
+     * @returns {IDBObjectStore}
+     */
+    function createItemsStore(db) {
+        const objectStore = db.createObjectStore('items', { keyPath: ['id', 'tier'] });
+        objectStore.createIndex('name', 'name', { unique: false });
+        objectStore.createIndex('nameTier', ['name', 'tier'], { unique: false });
+        return objectStore;
+    }
+
+    /**
+     * Normalizes an item tier for use in keys. Items without tiers are stored as tier 1.
+     *
+     * @param {number|null} tier
+     * @returns {number}
+     */
+    function normalizeTier(tier) {
+        return tier === null || tier === undefined ? 1 : tier;
     }
 
     /**
      * Intercepts XMLHttpRequests and fetch calls to log and process market data.
      *
      * - Overrides the native fetch function to capture request and response details.
+     * - Hooks XMLHttpRequest to capture responses from requests that don't use fetch.
      * - Dispatches a custom event with the fetched data for further processing.
      * - Listens for the custom event to handle the intercepted data.
      */
@@ -106,7 +331,10 @@
                         // Dispatch a custom event with the fetched data
                         window.dispatchEvent(new CustomEvent('fetchIntercepted', { detail: { resource, config, data } }));
                     } catch (error) {
-                        // Silently ignore non-JSON responses
+                        // Non-JSON responses are expected, so only report them for diagnostics
+                        window.dispatchEvent(new CustomEvent('fetchInterceptFailed', {
+                            detail: { resource: String(resource?.url || resource), message: error.message }
+                        }));
                     }
 
                     return response;
@@ -114,15 +342,69 @@
             })();
         `;
 
-        // Inject the overrideFetch script into the page
+        const overrideXHR = `
+            (function() {
+                const originalOpen = XMLHttpRequest.prototype.open;
+                const originalSend = XMLHttpRequest.prototype.send;
+                // Request details by XHR, kept out of sight of the page's own scripts
+                const requests = new WeakMap();
+
+                XMLHttpRequest.prototype.open = function(method, url, ...rest) {
+                    // Remember the request details for when the response arrives
+                    requests.set(this, { resource: String(url), config: { method } });
+                    return originalOpen.call(this, method, url, ...rest);
+                };
+
+                XMLHttpRequest.prototype.send = function(...args) {
+                    const request = requests.get(this);
+                    if (request) {
+                        // Passively read the response once it has loaded, without changing it
+                        this.addEventListener('load', function() {
+                            try {
+                                let data;
+                                if (this.responseType === 'json') {
+                                    data = this.response;
+                                } else if (this.responseType === '' || this.responseType === 'text') {
+                                    data = JSON.parse(this.responseText);
+                                }
+                                if (data && typeof data === 'object') {
+                                    window.dispatchEvent(new CustomEvent('fetchIntercepted', {
+                                        detail: { resource: request.resource, config: request.config, data }
+                                    }));
+                                }
+                            } catch (error) {
+                                // Non-JSON responses are expected, so only report them for diagnostics
+                                window.dispatchEvent(new CustomEvent('fetchInterceptFailed', {
+                                    detail: { resource: request.resource, message: error.message }
+                                }));
+                            }
+                        });
+                    }
+                    return originalSend.apply(this, args);
+                };
+            })();
+        `;
+
+        // Inject the overrideFetch and overrideXHR scripts into the page
         const script = document.createElement('script');
-        script.textContent = overrideFetch;
+        script.textContent = overrideFetch + overrideXHR;
         document.documentElement.appendChild(script);
         script.remove();
 
+        window.addEventListener('fetchInterceptFailed', function(event) {
+            logDebug('intercept', `Could not parse ${event.detail.resource} as JSON: ${event.detail.message}`);
+        });
+
         // Listen for the custom event to react to fetched data
         window.addEventListener('fetchIntercepted', function(event) {
-            const { resource, config, data } = event.detail;
+            const { config, data } = event.detail;
+            // fetch may be called with a Request or URL object rather than a string
+            const resource = typeof event.detail.resource === 'string'
+                ? event.detail.resource
+                : (event.detail.resource?.url || String(event.detail.resource));
+            if (!data || typeof data !== 'object') {
+                return;
+            }
 
             // Take action based on the resource URL - silently
             if (resource.includes('/api/market/items') || resource.includes('/api/market/listings')) {
@@ -131,20 +413,223 @@
                 }
             }
 
+            // Also keep every listing's price and quantity, not just the cheapest
+            if (resource.includes('/api/market/listings') && data.data && Array.isArray(data.data)) {
+                storeOrderBooksIndexedDB(data.data);
+            }
+
+            // Value the character's inventory
+            if (API_ROUTES.inventory.test(getResourcePath(resource))) {
+                const inventory = parseInventory(data);
+                if (inventory) {
+                    renderInventoryValue(inventory);
+                } else {
+                    logDebug('intercept', `Unexpected inventory response from ${resource}`);
+                }
+            }
+
+            // Capture vendor shop prices
+            if (API_ROUTES.shop.test(getResourcePath(resource))) {
+                const vendorItems = extractVendorItems(data);
+                if (vendorItems) {
+                    storeVendorItemsIndexedDB(vendorItems);
+                }
+            }
+
             // Capture skill page data (alchemy, cooking, etc.)
             if (resource.includes('/api/skills/') && data.items && Array.isArray(data.items)) {
-                // Store the skill data globally so renderCraftProfit can access it
+                // Store the skill data globally so renderCraftProfit can access it. The skill is
+                // kept with it, since the response can arrive before or after the page changes.
+                const skill = getSkillFromResource(resource);
                 window.skillItemsData = data.items;
+                skillItemsSkill = skill;
+
+                // Keep the recipes so other skill pages can use them
+                storeRecipesIndexedDB(data.items.map(recipe => Object.assign({}, recipe, { skill })));
+
+                scheduleRender();
+            }
+        });
+    }
+
+    /**
+     * Watches for in-app navigation so the current page is kept up to date.
+     *
+     * - Injects a wrapper around history.pushState/replaceState that dispatches a custom event,
+     *   since the page's own history calls aren't otherwise observable.
+     * - Listens for that event and popstate, then re-detects the page and schedules a render.
+     */
+    function watchNavigation() {
+        const overrideHistory = `
+            (function() {
+                ['pushState', 'replaceState'].forEach(function(method) {
+                    const original = history[method];
+                    history[method] = function(...args) {
+                        const result = original.apply(this, args);
+                        window.dispatchEvent(new CustomEvent('locationChanged'));
+                        return result;
+                    };
+                });
+            })();
+        `;
+
+        const script = document.createElement('script');
+        script.textContent = overrideHistory;
+        document.documentElement.appendChild(script);
+        script.remove();
+
+        let lastPath = window.location.pathname;
+        const onLocationChange = function() {
+            if (window.location.pathname === lastPath) {
+                return;
+            }
+            lastPath = window.location.pathname;
+
+            // The previous page's panels no longer apply. Its recipes are ignored from here on,
+            // since they were captured for another skill (see hasSkillItemsData).
+            document.querySelectorAll('[data-panel="summary"], [data-panel="missing-prices"], [data-panel="inventory"]')
+                .forEach(panel => panel.remove());
+
+            setCurrentPage();
+            scheduleRender();
+        };
+
+        window.addEventListener('locationChanged', onLocationChange);
+        window.addEventListener('popstate', onLocationChange);
+    }
+
+    /**
+     * Watches the page for newly rendered content (eg: filtering the recipe list, or the list
+     * re-rendering after a level up) and schedules a render so badges are re-applied.
+     *
+     * Only added elements that could hold a recipe (buttons and headings) count, so text
+     * updates like timers don't cause renders. Elements added by this script are ignored, so
+     * rendering doesn't trigger itself.
+     */
+    function watchPageChanges() {
+        const isRecipeNode = node => node.nodeType === Node.ELEMENT_NODE
+            && !node.matches('[data-metric="rate"], [data-panel]')
+            && node.closest('[data-panel]') === null
+            && (node.matches('button, h2, h3') || node.querySelector('button, h2, h3') !== null);
+
+        const observer = new MutationObserver(mutations => {
+            if (mutations.some(mutation => [...mutation.addedNodes].some(isRecipeNode))) {
+                scheduleRender();
             }
         });
+
+        observer.observe(document.body, { childList: true, subtree: true });
+    }
+
+    /**
+     * Shares newly captured prices between the script's open tabs, eg: the market in one tab
+     * and a skill page in another.
+     *
+     * storeItemsIndexedDB, storeOrderBooksIndexedDB and storeRecipesIndexedDB broadcast what
+     * they stored once it's written, as { type: 'items', items }, { type: 'orderBooks', books }
+     * or { type: 'recipes', recipes }. Receiving tabs remove the badges of recipes that use any
+     * of the changed items (directly or further down the production chain) and schedule a
+     * render, which reloads the price cache from IndexedDB and recomputes those badges.
+     */
+    function watchPriceBroadcasts() {
+        if (typeof BroadcastChannel !== 'function') {
+            logDebug('broadcast', 'BroadcastChannel is not supported, prices will not sync between tabs');
+            return;
+        }
+
+        priceChannel = new BroadcastChannel('web-idle-mmo-market-helper');
+        priceChannel.onmessage = function(event) {
+            const { type, items, books, recipes } = event.data || {};
+            // The names of the items whose prices changed. Recipes use tier 1 prices.
+            let names;
+
+            switch (type) {
+                case 'items':
+                    if (!Array.isArray(items)) {
+                        return;
+                    }
+                    names = new Set(items.filter(item => item.tier === 1).map(item => item.name));
+                    break;
+                case 'orderBooks':
+                    if (!Array.isArray(books)) {
+                        return;
+                    }
+                    names = new Set(books.filter(book => book.tier === 1).map(book => book.name));
+                    break;
+                case 'recipes':
+                    if (!Array.isArray(recipes)) {
+                        return;
+                    }
+                    // A newly known recipe can price its item as a production chain
+                    names = new Set(recipes.map(recipe => recipe.name));
+                    break;
+                default:
+                    return;
+            }
+
+            if (!hasSkillItemsData()) {
+                return;
+            }
+
+            let refreshed = 0;
+            document.querySelectorAll('[data-metric="rate"]').forEach(badge => {
+                const recipeData = badgeRecipes.get(badge);
+                if (recipeData && recipeUsesItems(recipeData, names, new Set())) {
+                    badge.remove();
+                    refreshed++;
+                }
+            });
+
+            logDebug('broadcast', `Received ${type} for ${names.size} items from another tab, refreshing ${refreshed} badges`);
+            scheduleRender();
+        };
+    }
+
+    /**
+     * Checks whether a recipe makes or uses any of the given items, including inputs of inputs
+     * that can be crafted, since those affect production chain profit.
+     *
+     * @param {Object} recipeData - A recipe from the '/api/skills/' payload.
+     * @param {Set<string>} names - The item names.
+     * @param {Set<string>} visiting - Recipes already checked, to stop on cycles.
+     * @returns {boolean}
+     */
+    function recipeUsesItems(recipeData, names, visiting) {
+        if (names.has(recipeData.name)) {
+            return true;
+        }
+        visiting.add(recipeData.name);
+
+        return Object.values(recipeData.requirements || {}).some(requirement => {
+            const name = requirement.item?.name;
+            if (!name || visiting.has(name)) {
+                return false;
+            }
+            const inputRecipe = priceCache?.recipes.get(name);
+            return names.has(name) || (inputRecipe !== undefined && recipeUsesItems(inputRecipe, names, visiting));
+        });
+    }
+
+    /**
+     * Schedules a render of the current page, collapsing bursts of changes into a single pass.
+     *
+     * @param {number} [delay=500] - How long to wait for changes to settle, in ms.
+     */
+    function scheduleRender(delay = 500) {
+        clearTimeout(renderTimer);
+        renderTimer = setTimeout(renderPage, delay);
     }
 
     /**
      * Stores market items data into IndexedDB.
      *
-     * Each item is stored in the 'items' object store within a transaction. The function
-     * filters out items with a tier greater than 1 to avoid overwriting tier 1 prices,
-     * as the data is keyed by item ID.
+     * Each item is stored in the 'items' object store within a transaction, keyed by item ID
+     * and tier so every tier keeps its own price. Items without a tier are stored as tier 1. If
+     * a response lists the same item more than once, its lowest price is kept.
+     *
+     * The 'items' store only ever holds the latest price. Observations are also appended to
+     * the 'priceHistory' store so past prices can be compared against. To keep it small, an
+     * unchanged price is only recorded again once PRICE_HISTORY_INTERVAL_HOURS have passed.
      *
      * @param {Array} data - An array of item objects to be stored. Each item object should
      *                       contain the following properties:
@@ -153,163 +638,2176 @@
      *                       - price: An object containing the minimum price as a string.
      *                       - name: The name of the item.
      *                       - tier: The tier level of the item.
+     *
+     * A 'lastSeen' timestamp is recorded on each stored item so stale prices can be detected.
+     * Price changes are checked against the watchlist.
      */
     function storeItemsIndexedDB(data) {
         if (db === null) {
-            stalledXHR.push(data);
+            stalledXHR.push({ handler: storeItemsIndexedDB, data });
             return;
         }
 
         if (stalledXHR.length !== 0) {
             // Deal with backlog first.
-            storeItemsIndexedDB(stalledXHR.pop());
+            const stalled = stalledXHR.pop();
+            stalled.handler(stalled.data);
         }
 
-        const transaction = db.transaction(['items'], 'readwrite');
+        const transaction = db.transaction(['items', 'priceHistory'], 'readwrite');
         const objectStore = transaction.objectStore('items');
+        const historyStore = transaction.objectStore('priceHistory');
+        const capturedAt = Date.now();
+        const stored = [];
 
+        // Keep the lowest price per item and tier, so each item is compared and alerted on once
+        const batch = new Map();
         data.forEach(item => {
-            if (item.tier !== null && item.tier > 1) {
-                // We care more about craftable item prices, not upgrade prices.
-                // So ignore higher tier items to avoid overwriting t1 prices,
-                // since it's keyed by ID.
-                return;
+            const itemData = parseMarketItem(item, capturedAt);
+            const key = `${itemData.id}:${itemData.tier}`;
+            if (!batch.has(key) || itemData.minimumPrice < batch.get(key).minimumPrice) {
+                batch.set(key, itemData);
             }
-            const itemData = {
-                id: item.id,
-                hashed_id: item.hashed_id,
-                minimumPrice: typeof item.price.minimum === 'string'
-                    ? parseInt(item.price.minimum.replace(/,/g, ''), 10)
-                    : item.price.minimum,
-                name: item.name,
-                tier: item.tier,
+        });
+
+        batch.forEach(itemData => {
+            const getRequest = objectStore.get([itemData.id, itemData.tier]);
+            getRequest.onsuccess = function() {
+                const previous = getRequest.result;
+
+                // When this price was last added to the price history
+                const unchanged = previous && previous.minimumPrice === itemData.minimumPrice
+                    && capturedAt - previous.lastRecorded < PRICE_HISTORY_INTERVAL_HOURS * 3600 * 1000;
+                itemData.lastRecorded = unchanged ? previous.lastRecorded : capturedAt;
+
+                objectStore.put(itemData);
+                priceCache?.items.set(priceCacheKey(itemData.name, itemData.tier), itemData);
+                stored.push(itemData);
+
+                checkWatchlist(itemData, previous);
+
+                if (unchanged) {
+                    return;
+                }
+
+                const observation = {
+                    itemId: itemData.id,
+                    name: itemData.name,
+                    tier: itemData.tier,
+                    price: itemData.minimumPrice,
+                    capturedAt: capturedAt,
+                };
+                historyStore.add(observation);
+                if (priceCache !== null) {
+                    addPriceObservation(priceCache, observation);
+                }
             };
-            objectStore.put(itemData);
         });
 
         transaction.oncomplete = function() {
-            // Silently succeed
+            // Let other tabs refresh their badges, now the prices can be read back
+            priceChannel?.postMessage({ type: 'items', items: stored });
         };
 
         transaction.onerror = function(event) {
-            // Silently fail
+            logDebug('database', `Failed to store items: ${event.target.error?.message}`);
         };
     }
 
-    function getItemByNameIndexedDB(name) {
-        const vendorItem = findVendorItemByName(name);
-        if (vendorItem) {
-            // We probably just need minimumPrice but send some basic data anyway.
-            return {
-                name: vendorItem.name,
-                id: vendorItem.id,
-                minimumPrice: vendorItem.price
-            }
+    /**
+     * Alerts when a newly captured price crosses one of the user's watchlist thresholds.
+     *
+     * An alert fires when the price moves below the item's buy-below price, or above its
+     * sell-above price, having previously been on the other side (or not known). Alerts are
+     * shown as a toast, and also as a browser notification if enabled for that item.
+     *
+     * @param {Object} item - The stored item, with its new minimumPrice.
+     * @param {Object|undefined} previous - The item as stored before this update, if any.
+     */
+    function checkWatchlist(item, previous) {
+        const watch = getSettings().watchlist[item.name];
+        if (!watch || item.tier !== 1 || typeof item.minimumPrice !== 'number') {
+            return;
         }
 
-        return new Promise((resolve, reject) => {
-            // Check if the item exists in vendorItems
-            const vendorItem = findVendorItemByName(name);
-            if (vendorItem) {
-                resolve(vendorItem);
-                return;
+        const price = item.minimumPrice;
+        const previousPrice = previous ? previous.minimumPrice : null;
+        const alerts = [];
+
+        if (watch.buyBelow !== null && price < watch.buyBelow
+            && (previousPrice === null || previousPrice >= watch.buyBelow)) {
+            alerts.push(`${item.name} is ${price.toLocaleString()}, below your buy price of ${watch.buyBelow.toLocaleString()}`);
+        }
+        if (watch.sellAbove !== null && price > watch.sellAbove
+            && (previousPrice === null || previousPrice <= watch.sellAbove)) {
+            alerts.push(`${item.name} is ${price.toLocaleString()}, above your sell price of ${watch.sellAbove.toLocaleString()}`);
+        }
+
+        alerts.forEach(message => {
+            showToast(message);
+            if (watch.notify) {
+                GM_notification({ title: 'Price alert', text: message, silent: false });
             }
+        });
+    }
 
-            // Ensure the database is connected
+    /**
+     * Stores order book snapshots from '/api/market/listings' into IndexedDB.
+     *
+     * Listings are grouped into one snapshot per item and tier (see buildOrderBooks), which
+     * replaces the previous one in the 'orderBooks' store.
+     *
+     * @param {Array} data - The response's listings. See fixtures/market-listings.json.
+     */
+    function storeOrderBooksIndexedDB(data) {
+        if (db === null) {
+            stalledXHR.push({ handler: storeOrderBooksIndexedDB, data });
+            return;
+        }
+
+        const books = buildOrderBooks(data, Date.now());
+        if (books.length === 0) {
+            logDebug('intercept', 'No usable listings in a /api/market/listings response');
+            return;
+        }
+
+        const transaction = db.transaction(['orderBooks'], 'readwrite');
+        const objectStore = transaction.objectStore('orderBooks');
+
+        books.forEach(book => {
+            objectStore.put(book);
+            priceCache?.orderBooks.set(priceCacheKey(book.name, book.tier), book);
+        });
+
+        transaction.oncomplete = function() {
+            priceChannel?.postMessage({ type: 'orderBooks', books });
+        };
+
+        transaction.onerror = function(event) {
+            logDebug('database', `Failed to store order books: ${event.target.error?.message}`);
+        };
+    }
+
+    /**
+     * Looks up the latest order book snapshot for an item.
+     *
+     * @param {string} name - The item name.
+     * @param {number} [tier=1] - The item tier.
+     * @returns {Promise<Object|null>} - The snapshot, or null if none has been captured.
+     */
+    function getOrderBookByNameIndexedDB(name, tier = 1) {
+        if (priceCache !== null) {
+            return Promise.resolve(priceCache.orderBooks.get(priceCacheKey(name, tier)) || null);
+        }
+
+        return new Promise((resolve, reject) => {
             if (db === null) {
                 reject(new Error('Database not connected.'));
                 return;
             }
 
-            // Begin a readonly transaction
-            const transaction = db.transaction(['items'], 'readonly');
-            const objectStore = transaction.objectStore('items');
-            const index = objectStore.index('name');
-            const getRequest = index.get(name);
+            const transaction = db.transaction(['orderBooks'], 'readonly');
+            const getRequest = transaction.objectStore('orderBooks').index('nameTier').get([name, tier]);
 
-            // Handle successful retrieval
             getRequest.onsuccess = function() {
-                const item = getRequest.result;
-                if (item) {
-                    resolve(item);
-                } else {
-                    reject(new Error(`Item with name ${name} not found.`));
-                }
+                resolve(getRequest.result || null);
             };
 
-            // Handle errors during retrieval
             getRequest.onerror = function(event) {
                 reject(event.target.error);
             };
         });
     }
 
-    // Example usage:
-    // After storing the data using storeItemsIndexedDB, retrieve an item:
-    //getItemByNameIndexedDB('Goblin Totem');
-
-    function setCurrentPage() {
-        // Parse the URL to get the page:
-        const url = new URL(window.location.href);
-        const pathname = url.pathname;
-        const segments = pathname.split('/').filter(segment => segment);
-
-        // Handle new URL structure: /skills/view/alchemy -> alchemy
-        let pageName = segments[segments.length - 1];
-
-        // Special case for /skills/view/* pages
-        if (segments.length >= 3 && segments[0] === 'skills' && segments[1] === 'view') {
-            pageName = segments[2];
+    /**
+     * Stores captured skill recipes into IndexedDB.
+     *
+     * Recipes are keyed by name in the 'recipes' object store, so recipes from every skill
+     * visited are kept, not just the current page's. Requirements are kept in the same shape
+     * as the '/api/skills/' payload.
+     *
+     * @param {Array} data - An array of recipe objects from '/api/skills/', each with a 'skill'
+     *                       property added naming the skill it came from.
+     */
+    function storeRecipesIndexedDB(data) {
+        if (db === null) {
+            stalledXHR.push({ handler: storeRecipesIndexedDB, data });
+            return;
         }
 
-        if (pageName.startsWith('@')) {
-            pageName = '@user';
-        }
+        const transaction = db.transaction(['recipes'], 'readwrite');
+        const objectStore = transaction.objectStore('recipes');
+        const capturedAt = Date.now();
+        const stored = [];
 
-        currentPage = pageName;
-    }
+        data.forEach(recipe => {
+            if (!recipe.name) {
+                return;
+            }
+            const recipeData = {
+                name: recipe.name,
+                skill: recipe.skill,
+                wait_length: recipe.wait_length,
+                experience: recipe.experience,
+                requirements: recipe.requirements || {},
+                capturedAt: capturedAt,
+            };
+            objectStore.put(recipeData);
+            priceCache?.recipes.set(recipeData.name, recipeData);
+            stored.push(recipeData);
+        });
 
-    function renderPage() {
-        switch(currentPage) {
-            case 'woodcutting':
-            case 'mining':
-            case 'fishing':
-            case 'alchemy':
-            case 'smelting':
-            case 'cooking':
-            //case 'forge': // UI is different here.
-                renderCraftProfit();
-                break;
-            default:
-                // No render actions needed
-        }
+        transaction.oncomplete = function() {
+            priceChannel?.postMessage({ type: 'recipes', recipes: stored });
+        };
+
+        transaction.onerror = function(event) {
+            logDebug('database', `Failed to store recipes: ${event.target.error?.message}`);
+        };
     }
 
     /**
-     * Page Renders
+     * Looks up a stored recipe by the name of the item it makes.
+     *
+     * @param {string} name - The recipe (and output item) name.
+     * @returns {Promise<Object|null>} - The recipe, or null if it hasn't been captured.
      */
-
-    async function renderCraftProfit() {
-        // Wait for skill data to be available (with timeout)
-        let attempts = 0;
-        while (!window.skillItemsData && attempts < 50) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-            attempts++;
+    function getRecipeByNameIndexedDB(name) {
+        if (priceCache !== null) {
+            return Promise.resolve(priceCache.recipes.get(name) || null);
         }
 
-        if (!window.skillItemsData) {
-            return; // Silently fail instead of logging errors
-        }
+        return new Promise((resolve, reject) => {
+            if (db === null) {
+                reject(new Error('Database not connected.'));
+                return;
+            }
+
+            const transaction = db.transaction(['recipes'], 'readonly');
+            const getRequest = transaction.objectStore('recipes').get(name);
+
+            getRequest.onsuccess = function() {
+                resolve(getRequest.result || null);
+            };
+
+            getRequest.onerror = function(event) {
+                reject(event.target.error);
+            };
+        });
+    }
+
+    /**
+     * Stores vendor shop items captured from shop API responses into IndexedDB.
+     *
+     * Items are kept in the 'vendorItems' store and in the in-memory vendor item lookup, so
+     * findVendorItemByName sees new shop prices straight away.
+     *
+     * @param {Array} data - An array of shop item objects, in the same format as VENDOR_ITEMS.
+     */
+    function storeVendorItemsIndexedDB(data) {
+        const capturedAt = Date.now();
+        data.forEach(item => {
+            getVendorItemsByName().set(item.name, Object.assign({}, item, { capturedAt }));
+        });
+
+        if (db === null) {
+            stalledXHR.push({ handler: storeVendorItemsIndexedDB, data });
+            return;
+        }
+
+        const transaction = db.transaction(['vendorItems'], 'readwrite');
+        const objectStore = transaction.objectStore('vendorItems');
+
+        data.forEach(item => {
+            objectStore.put(Object.assign({}, item, { capturedAt }));
+        });
+
+        transaction.onerror = function(event) {
+            logDebug('database', `Failed to store vendor items: ${event.target.error?.message}`);
+        };
+    }
+
+    /**
+     * Loads captured vendor items from IndexedDB over the VENDOR_ITEMS seed data.
+     */
+    function loadVendorItemsIndexedDB() {
+        const transaction = db.transaction(['vendorItems'], 'readonly');
+        const getAllRequest = transaction.objectStore('vendorItems').getAll();
+
+        getAllRequest.onsuccess = function() {
+            getAllRequest.result.filter(isGoldVendorItem).forEach(item => {
+                const known = getVendorItemsByName().get(item.name);
+                // Don't replace anything captured since the page loaded
+                if (!known || !known.capturedAt || known.capturedAt < item.capturedAt) {
+                    getVendorItemsByName().set(item.name, item);
+                }
+            });
+        };
+    }
+
+    /**
+     * Picks the gold-priced items out of a shop response. Items bought with other currencies
+     * (eg: tokens) can't be compared against gold prices, so they're left out.
+     *
+     * @param {Object} data - The response body. See fixtures/shop.json.
+     * @returns {Array|null} - Items with a name and gold 'final_price', or null if there are none.
+     */
+    function extractVendorItems(data) {
+        if (!Array.isArray(data.items)) {
+            return null;
+        }
+
+        const items = data.items.filter(isGoldVendorItem);
+        return items.length > 0 ? items : null;
+    }
+
+    /**
+     * Checks whether a shop item is sold for gold.
+     *
+     * @param {Object} item - A shop item, in the same format as VENDOR_ITEMS.
+     * @returns {boolean}
+     */
+    function isGoldVendorItem(item) {
+        return Boolean(item && item.name && typeof item.final_price === 'number' && item.currency === 'gold');
+    }
+
+    /**
+     * Gets the path of an intercepted request, eg: '/api/shop/3' for
+     * 'https://web.idle-mmo.com/api/shop/3?page=2'.
+     *
+     * @param {string} resource - The request URL, absolute or relative.
+     * @returns {string}
+     */
+    function getResourcePath(resource) {
+        try {
+            return new URL(resource, window.location.origin).pathname;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Loads every stored price, order book and recipe into the in-memory price cache in a
+     * single transaction. Called once per render, so profit calculations don't each open their
+     * own transaction. Writes keep the cache up to date between renders.
+     *
+     * Price history is only loaded when the reference price strategy needs it, and only within
+     * the stale price cutoff. Each item's observations are kept oldest first. Otherwise the
+     * cache's history is null.
+     *
+     * @returns {Promise<void>}
+     */
+    function loadPriceCache() {
+        return new Promise((resolve, reject) => {
+            if (db === null) {
+                reject(new Error('Database not connected.'));
+                return;
+            }
+
+            const settings = getSettings();
+            const transaction = db.transaction(['items', 'orderBooks', 'recipes', 'priceHistory'], 'readonly');
+            const usesHistory = settings.priceStrategy === 'median' || settings.priceStrategy === 'trimmedMean';
+            const cache = { items: new Map(), orderBooks: new Map(), recipes: new Map(), history: usesHistory ? new Map() : null };
+
+            const itemsRequest = transaction.objectStore('items').getAll();
+            itemsRequest.onsuccess = function() {
+                itemsRequest.result.forEach(item => cache.items.set(priceCacheKey(item.name, item.tier), item));
+            };
+
+            const orderBooksRequest = transaction.objectStore('orderBooks').getAll();
+            orderBooksRequest.onsuccess = function() {
+                orderBooksRequest.result.forEach(book => cache.orderBooks.set(priceCacheKey(book.name, book.tier), book));
+            };
+
+            const recipesRequest = transaction.objectStore('recipes').getAll();
+            recipesRequest.onsuccess = function() {
+                recipesRequest.result.forEach(recipe => cache.recipes.set(recipe.name, recipe));
+            };
+
+            if (usesHistory) {
+                const range = settings.stalePriceHours
+                    ? IDBKeyRange.lowerBound(Date.now() - settings.stalePriceHours * 3600 * 1000)
+                    : null;
+                const historyRequest = transaction.objectStore('priceHistory').index('capturedAt').getAll(range);
+                historyRequest.onsuccess = function() {
+                    historyRequest.result.forEach(observation => addPriceObservation(cache, observation));
+                };
+            }
+
+            transaction.oncomplete = function() {
+                priceCache = cache;
+                resolve();
+            };
+
+            transaction.onerror = function(event) {
+                reject(event.target.error);
+            };
+        });
+    }
+
+    /**
+     * Adds a price history row to a price cache's observations for its item. Does nothing if the
+     * cache was loaded without price history.
+     *
+     * @param {Object} cache - The price cache.
+     * @param {Object} observation - A 'priceHistory' row: { name, tier, price, capturedAt }.
+     */
+    function addPriceObservation(cache, observation) {
+        if (cache.history === null) {
+            return;
+        }
+
+        const key = priceCacheKey(observation.name, observation.tier);
+        if (!cache.history.has(key)) {
+            cache.history.set(key, []);
+        }
+        cache.history.get(key).push({ price: observation.price, capturedAt: observation.capturedAt });
+    }
+
+    /**
+     * Builds the price cache key for an item name and tier.
+     *
+     * @param {string} name
+     * @param {number} tier
+     * @returns {string}
+     */
+    function priceCacheKey(name, tier) {
+        return `${tier}:${name}`;
+    }
+
+    /**
+     * Looks up an item's price by name, checking price overrides and then vendor items first.
+     * Uses the price cache once it has been loaded.
+     *
+     * @param {string} name - The item name.
+     * @param {number} [tier=1] - The item tier. Defaults to tier 1, which is what recipes use.
+     * @returns {Object|Promise<Object>} - The stored item, or a vendor item.
+     */
+    function getItemByNameIndexedDB(name, tier = 1) {
+        const override = findPriceOverride(name);
+        if (override) {
+            return {
+                name: override.name,
+                minimumPrice: override.mode === 'ignore' ? 0 : override.price,
+                override: override.mode,
+            };
+        }
+
+        const vendorItem = findVendorItemByName(name);
+        if (vendorItem) {
+            // We probably just need minimumPrice but send some basic data anyway.
+            return {
+                name: vendorItem.name,
+                id: vendorItem.id,
+                // Use the current (possibly discounted) price when the shop provides one
+                minimumPrice: vendorItem.final_price ?? vendorItem.price,
+                vendor: true,
+            }
+        }
+
+        return getMarketItemByNameIndexedDB(name, tier);
+    }
+
+    /**
+     * Looks up an item's stored market price by name, ignoring overrides and vendor items.
+     * Uses the price cache once it has been loaded.
+     *
+     * @param {string} name - The item name.
+     * @param {number} [tier=1] - The item tier.
+     * @returns {Promise<Object>} - The stored item. Rejects if it has never been seen.
+     */
+    function getMarketItemByNameIndexedDB(name, tier = 1) {
+        if (priceCache !== null) {
+            const item = priceCache.items.get(priceCacheKey(name, tier));
+            return item
+                ? Promise.resolve(item)
+                : Promise.reject(new Error(`Item with name ${name} (tier ${tier}) not found.`));
+        }
+
+        return new Promise((resolve, reject) => {
+            // Ensure the database is connected
+            if (db === null) {
+                reject(new Error('Database not connected.'));
+                return;
+            }
+
+            // Begin a readonly transaction
+            const transaction = db.transaction(['items'], 'readonly');
+            const objectStore = transaction.objectStore('items');
+            const index = objectStore.index('nameTier');
+            const getRequest = index.get([name, tier]);
+
+            // Handle successful retrieval
+            getRequest.onsuccess = function() {
+                const item = getRequest.result;
+                if (item) {
+                    resolve(item);
+                } else {
+                    reject(new Error(`Item with name ${name} (tier ${tier}) not found.`));
+                }
+            };
+
+            // Handle errors during retrieval
+            getRequest.onerror = function(event) {
+                reject(event.target.error);
+            };
+        });
+    }
+
+    // Example usage:
+    // After storing the data using storeItemsIndexedDB, retrieve an item:
+    //getItemByNameIndexedDB('Goblin Totem');
+
+    /**
+     * Checks whether a stored market price is too old to be trusted.
+     *
+     * Overrides and vendor items have fixed prices and never go stale. Market items stored before
+     * 'lastSeen' was recorded have an unknown age, so they are treated as stale.
+     *
+     * @param {Object} item - An item as returned by getItemByNameIndexedDB.
+     * @returns {boolean} - True if the price should be treated as missing.
+     */
+    function isPriceStale(item) {
+        if (item.override || findVendorItemByName(item.name)) {
+            return false;
+        }
+        return isTimestampStale(item.lastSeen);
+    }
+
+    /**
+     * Checks whether an observation time is older than the stale price cutoff.
+     *
+     * @param {number|undefined} timestamp - When the data was captured, in ms.
+     * @returns {boolean} - True if it's too old, or unknown.
+     */
+    function isTimestampStale(timestamp) {
+        const stalePriceHours = getSettings().stalePriceHours;
+        if (!stalePriceHours) {
+            return false;
+        }
+        if (!timestamp) {
+            return true;
+        }
+        return Date.now() - timestamp > stalePriceHours * 3600 * 1000;
+    }
+
+    /**
+     * Finds the user's price override for an item, if any.
+     *
+     * Overrides come from the settings panel and take priority over market and vendor prices.
+     * Modes are:
+     * - 'fixed': Used in place of the market price, so market tax still applies when selling.
+     * - 'vendor': What the item sells to a vendor for. No market tax applies.
+     * - 'ignore': The item is treated as free, eg: an input you always have spare.
+     *
+     * @param {string} name - The item name.
+     * @returns {Object|null} - { name, mode, price }, or null if the item has no override.
+     */
+    function findPriceOverride(name) {
+        const override = getSettings().priceOverrides[name];
+        return override ? Object.assign({ name }, override) : null;
+    }
+
+    /**
+     * Records a diagnostic event when debug mode is enabled in the settings. Does nothing
+     * otherwise, so the script stays silent by default.
+     *
+     * Events are kept in a bounded in-memory log for this page, and in the bounded 'debugLog'
+     * store so they survive reloads. They can also be mirrored to GM_log.
+     *
+     * @param {string} category - Where it happened, eg: 'database', 'intercept' or 'render'.
+     * @param {string} reason - What happened.
+     */
+    function logDebug(category, reason) {
+        const settings = getSettings();
+        if (!settings.debug) {
+            return;
+        }
+
+        const entry = { time: Date.now(), category, reason };
+        debugLog.push(entry);
+        if (debugLog.length > DEBUG_LOG_LIMIT) {
+            debugLog.shift();
+        }
+
+        if (settings.debugMirrorToGmLog) {
+            GM_log(`[${category}] ${reason}`);
+        }
+
+        if (db !== null) {
+            storeDebugEntries([entry]);
+        }
+    }
+
+    /**
+     * Adds entries to the 'debugLog' store, dropping the oldest beyond DEBUG_LOG_LIMIT.
+     *
+     * @param {Array<Object>} entries - { time, category, reason } entries, oldest first.
+     */
+    function storeDebugEntries(entries) {
+        if (entries.length === 0) {
+            return;
+        }
+
+        try {
+            const transaction = db.transaction(['debugLog'], 'readwrite');
+            const objectStore = transaction.objectStore('debugLog');
+            entries.forEach(entry => objectStore.add(entry));
+
+            // Drop the oldest entries beyond the limit
+            const countRequest = objectStore.count();
+            countRequest.onsuccess = function() {
+                let excess = countRequest.result - DEBUG_LOG_LIMIT;
+                if (excess <= 0) {
+                    return;
+                }
+                objectStore.openCursor().onsuccess = function(event) {
+                    const cursor = event.target.result;
+                    if (cursor && excess > 0) {
+                        cursor.delete();
+                        excess--;
+                        cursor.continue();
+                    }
+                };
+            };
+        } catch (error) {
+            // Nowhere left to report it. The in-memory log still has the entries.
+        }
+    }
+
+    /**
+     * Reads the diagnostics log, from IndexedDB when connected, otherwise from memory.
+     *
+     * @returns {Promise<Array<Object>>} - { time, category, reason } entries, oldest first.
+     */
+    function getDebugLog() {
+        return new Promise(resolve => {
+            if (db === null) {
+                resolve(debugLog.slice());
+                return;
+            }
+
+            const getAllRequest = db.transaction(['debugLog'], 'readonly').objectStore('debugLog').getAll();
+            getAllRequest.onsuccess = function() {
+                resolve(getAllRequest.result);
+            };
+            getAllRequest.onerror = function() {
+                resolve(debugLog.slice());
+            };
+        });
+    }
+
+    /**
+     * Clears the diagnostics log from memory and IndexedDB.
+     *
+     * @returns {Promise<void>}
+     */
+    function clearDebugLog() {
+        debugLog.length = 0;
+        return new Promise(resolve => {
+            if (db === null) {
+                resolve();
+                return;
+            }
+
+            const transaction = db.transaction(['debugLog'], 'readwrite');
+            transaction.objectStore('debugLog').clear();
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => resolve();
+        });
+    }
+
+    /**
+     * Returns the current settings, falling back to DEFAULT_SETTINGS for anything not saved.
+     *
+     * Settings are kept in userscript storage rather than the page's storage, so they survive
+     * script updates and aren't visible to the page.
+     *
+     * @returns {Object}
+     */
+    function getSettings() {
+        return Object.assign({}, DEFAULT_SETTINGS, GM_getValue('settings', {}));
+    }
+
+    /**
+     * Saves settings to userscript storage.
+     *
+     * @param {Object} settings - The full settings object.
+     */
+    function saveSettings(settings) {
+        GM_setValue('settings', settings);
+    }
+
+    /**
+     * Calculates the market tax multiplier from the premium setting, or the custom tax rate
+     * if one is set.
+     *
+     * @returns {number} - eg: 0.85 for a 15% tax.
+     */
+    function getMarketTaxMultiplier() {
+        const settings = getSettings();
+        if (settings.customTaxPercent !== null && settings.customTaxPercent !== '') {
+            return 1 - settings.customTaxPercent / 100;
+        }
+        return settings.hasPremium ? PREMIUM_TAX_MULTIPLIER : STANDARD_TAX_MULTIPLIER;
+    }
+
+    /**
+     * Formats a duration as a short age label, eg: "45m", "6h", "3d".
+     *
+     * @param {number} ms - The age in milliseconds.
+     * @returns {string}
+     */
+    function formatAge(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 60) {
+            return `${minutes}m`;
+        }
+        const hours = Math.floor(minutes / 60);
+        if (hours < 48) {
+            return `${hours}h`;
+        }
+        return `${Math.floor(hours / 24)}d`;
+    }
+
+    /**
+     * Reads every object store in the database, except LOCAL_ONLY_STORES.
+     *
+     * @returns {Promise<Object>} - An object keyed by store name, holding each store's records.
+     */
+    function exportDatabase() {
+        return new Promise((resolve, reject) => {
+            if (db === null) {
+                reject(new Error('Database not connected.'));
+                return;
+            }
+
+            const storeNames = Array.from(db.objectStoreNames)
+                .filter(storeName => !LOCAL_ONLY_STORES.includes(storeName));
+            const transaction = db.transaction(storeNames, 'readonly');
+            const dump = {};
+
+            storeNames.forEach(storeName => {
+                const getAllRequest = transaction.objectStore(storeName).getAll();
+                getAllRequest.onsuccess = function() {
+                    dump[storeName] = getAllRequest.result;
+                };
+            });
+
+            transaction.oncomplete = function() {
+                resolve(dump);
+            };
+
+            transaction.onerror = function(event) {
+                reject(event.target.error);
+            };
+        });
+    }
+
+    /**
+     * Merges exported records into the database.
+     *
+     * For keyed stores (eg: 'items'), an imported record only replaces the local one if it was
+     * observed more recently, going by 'lastSeen' or 'capturedAt'. For auto-incremented stores
+     * (eg: 'priceHistory'), imported rows are appended unless an identical row already exists.
+     * Stores that don't exist locally, and LOCAL_ONLY_STORES, are ignored.
+     *
+     * @param {Object} dump - An object keyed by store name, as produced by exportDatabase.
+     * @returns {Promise<number>} - The number of records written.
+     */
+    function importDatabase(dump) {
+        return new Promise((resolve, reject) => {
+            if (db === null) {
+                reject(new Error('Database not connected.'));
+                return;
+            }
+
+            const storeNames = Object.keys(dump)
+                .filter(storeName => db.objectStoreNames.contains(storeName) && Array.isArray(dump[storeName])
+                    && !LOCAL_ONLY_STORES.includes(storeName));
+            if (storeNames.length === 0) {
+                resolve(0);
+                return;
+            }
+
+            const transaction = db.transaction(storeNames, 'readwrite');
+            let written = 0;
+
+            storeNames.forEach(storeName => {
+                const objectStore = transaction.objectStore(storeName);
+                const records = dump[storeName];
+
+                if (objectStore.autoIncrement) {
+                    const keyPath = objectStore.keyPath;
+                    const signature = record => JSON.stringify(Object.assign({}, record, { [keyPath]: undefined }));
+                    const getAllRequest = objectStore.getAll();
+                    getAllRequest.onsuccess = function() {
+                        const existing = new Set(getAllRequest.result.map(signature));
+                        records.forEach(record => {
+                            if (existing.has(signature(record))) {
+                                return;
+                            }
+                            const row = Object.assign({}, record);
+                            delete row[keyPath];
+                            objectStore.add(row).onsuccess = function() {
+                                written++;
+                            };
+                            existing.add(signature(record));
+                        });
+                    };
+                    return;
+                }
+
+                records.forEach(record => {
+                    const key = Array.isArray(objectStore.keyPath)
+                        ? objectStore.keyPath.map(path => record[path])
+                        : record[objectStore.keyPath];
+                    let getRequest;
+                    try {
+                        getRequest = objectStore.get(key);
+                    } catch (error) {
+                        return; // Skip records without a valid key
+                    }
+                    getRequest.onsuccess = function() {
+                        if (isNewerRecord(record, getRequest.result)) {
+                            objectStore.put(record).onsuccess = function() {
+                                written++;
+                            };
+                        }
+                    };
+                });
+            });
+
+            transaction.oncomplete = function() {
+                resolve(written);
+            };
+
+            transaction.onerror = function(event) {
+                reject(event.target.error);
+            };
+        });
+    }
+
+    /**
+     * Checks whether an imported record was observed more recently than the local one.
+     *
+     * @param {Object} incoming - The imported record.
+     * @param {Object|undefined} existing - The local record, if any.
+     * @returns {boolean}
+     */
+    function isNewerRecord(incoming, existing) {
+        if (!existing) {
+            return true;
+        }
+        const observedAt = record => record.lastSeen || record.capturedAt || 0;
+        return observedAt(incoming) > observedAt(existing);
+    }
+
+    /**
+     * Converts records to CSV. Columns are the union of every record's keys, and nested values
+     * (eg: arrays) are written as JSON.
+     *
+     * @param {Array<Object>} records
+     * @returns {string}
+     */
+    function recordsToCsv(records) {
+        const columns = [];
+        records.forEach(record => {
+            Object.keys(record).forEach(column => {
+                if (!columns.includes(column)) {
+                    columns.push(column);
+                }
+            });
+        });
+
+        const escape = value => {
+            if (value === null || value === undefined) {
+                return '';
+            }
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns.map(escape).join(',')];
+        records.forEach(record => {
+            lines.push(columns.map(column => escape(record[column])).join(','));
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Parses CSV produced by recordsToCsv back into records. NUMERIC_CSV_COLUMNS and
+     * JSON_CSV_COLUMNS are converted back to their original types, every other column stays
+     * text, and empty cells are left out.
+     *
+     * @param {string} text
+     * @returns {Array<Object>}
+     */
+    function csvToRecords(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        const parseValue = (column, value) => {
+            if (NUMERIC_CSV_COLUMNS.includes(column) && value !== '' && !isNaN(value)) {
+                return Number(value);
+            }
+            if (JSON_CSV_COLUMNS.includes(column)) {
+                try {
+                    return JSON.parse(value);
+                } catch (error) {
+                    return value;
+                }
+            }
+            return value;
+        };
+
+        const columns = rows.shift() || [];
+        return rows
+            .filter(cells => cells.some(value => value !== ''))
+            .map(cells => {
+                const record = {};
+                columns.forEach((column, index) => {
+                    if (cells[index] !== undefined && cells[index] !== '') {
+                        record[column] = parseValue(column, cells[index]);
+                    }
+                });
+                return record;
+            });
+    }
+
+    /**
+     * Gets the skill name from a '/api/skills/' request URL, falling back to the current page.
+     *
+     * @param {string} resource - The request URL, eg: '/api/skills/smelting'.
+     * @returns {string}
+     */
+    function getSkillFromResource(resource) {
+        const match = resource.match(/\/api\/skills\/([^/?#]+)/);
+        return match ? match[1] : currentPage;
+    }
+
+    function setCurrentPage() {
+        currentPage = getPageFromPath(window.location.pathname);
+    }
+
+    async function renderPage() {
+        switch(currentPage) {
+            case 'woodcutting':
+            case 'mining':
+            case 'fishing':
+            case 'alchemy':
+            case 'smelting':
+            case 'cooking':
+                await loadPriceCache().catch(error => logDebug('database', `Failed to load prices: ${error.message}`));
+                renderCraftProfit();
+                renderProfitSummary();
+                renderMissingPrices();
+                break;
+            case 'forge':
+                // The forge page uses a different layout
+                await loadPriceCache().catch(error => logDebug('database', `Failed to load prices: ${error.message}`));
+                renderForgeProfit();
+                renderProfitSummary();
+                renderMissingPrices();
+                break;
+            default:
+                // No render actions needed
+        }
+    }
+
+    /**
+     * Removes any badges already on the page and renders them again, eg: after settings or
+     * prices change.
+     */
+    function rerenderPage() {
+        document.querySelectorAll('[data-metric="rate"]').forEach(element => element.remove());
+        renderPage();
+    }
+
+    /**
+     * Calculations
+     *
+     * These functions only work with plain objects and never touch the DOM or IndexedDB, so
+     * they're exported when the script is loaded from Node. See the fixtures directory for
+     * example '/api/skills/' and '/api/market/items' payloads.
+     */
+
+    /**
+     * Gets the page name from a URL path, eg: '/skills/view/alchemy' -> 'alchemy'.
+     *
+     * @param {string} pathname - The URL path.
+     * @returns {string} - The page name. Profile pages ('/@name') are all '@user'.
+     */
+    function getPageFromPath(pathname) {
+        const segments = pathname.split('/').filter(segment => segment);
+
+        // Handle new URL structure: /skills/view/alchemy -> alchemy
+        let pageName = segments[segments.length - 1] || '';
+
+        // Special case for /skills/view/* pages
+        if (segments.length >= 3 && segments[0] === 'skills' && segments[1] === 'view') {
+            pageName = segments[2];
+        }
+
+        if (pageName.startsWith('@')) {
+            pageName = '@user';
+        }
+
+        return pageName;
+    }
+
+    /**
+     * Parses a market price, which the API sends either as a number or a string with
+     * thousands separators (eg: "1,250"). Objects with a 'minimum' price are also accepted.
+     *
+     * @param {number|string|Object} price
+     * @returns {number}
+     */
+    function parsePrice(price) {
+        if (price !== null && typeof price === 'object') {
+            price = price.minimum;
+        }
+        return typeof price === 'string'
+            ? parseInt(price.replace(/,/g, ''), 10)
+            : price;
+    }
+
+    /**
+     * Groups listings from a '/api/market/listings' response into one order book per item and
+     * tier.
+     *
+     * @param {Array} listings - The response's 'data' array. Each listing holds the item's fields
+     *                           (id, name, tier) either itself or in a nested 'item' object,
+     *                           plus either:
+     *                           - price and quantity: A single listing.
+     *                           - listings: An array of { price, quantity } listings for the item.
+     * @param {number} capturedAt - When the listings were seen, in ms.
+     * @returns {Array<Object>} - { itemId, name, tier, levels, capturedAt } books, with levels
+     * ({ price, quantity }) cheapest first. Listings without an item, price or quantity are
+     * skipped.
+     */
+    function buildOrderBooks(listings, capturedAt) {
+        const books = new Map();
+
+        listings.forEach(listing => {
+            const item = listing?.item ?? listing;
+            if (!item || item.id === undefined || !item.name) {
+                return;
+            }
+
+            const tier = normalizeTier(item.tier);
+            const key = `${item.id}:${tier}`;
+            const entries = Array.isArray(listing.listings) ? listing.listings : [listing];
+            entries.forEach(entry => {
+                const price = parsePrice(entry?.price);
+                const quantity = parseInt(entry?.quantity, 10);
+                if (typeof price !== 'number' || isNaN(price) || !(quantity > 0)) {
+                    return;
+                }
+
+                if (!books.has(key)) {
+                    books.set(key, {
+                        itemId: item.id,
+                        name: item.name,
+                        tier: tier,
+                        levels: [],
+                        capturedAt: capturedAt,
+                    });
+                }
+                books.get(key).levels.push({ price, quantity });
+            });
+        });
+
+        return [...books.values()].map(book => {
+            book.levels.sort((a, b) => a.price - b.price);
+            return book;
+        });
+    }
+
+    /**
+     * Reads the item stacks from an inventory response.
+     *
+     * @param {Object} data - The response body, with an 'items' array of stacks, each holding a
+     *                        'quantity' and the stacked 'item' ({ id, name, tier }). See
+     *                        fixtures/inventory.json.
+     * @returns {Array<Object>|null} - { name, tier, quantity } stacks, or null if the response
+     * isn't in that format. Empty stacks are left out.
+     */
+    function parseInventory(data) {
+        if (!data || !Array.isArray(data.items)) {
+            return null;
+        }
+
+        const stacks = [];
+        data.items.forEach(entry => {
+            const name = entry?.item?.name;
+            const quantity = parseInt(entry?.quantity, 10) || 0;
+            if (name && quantity > 0) {
+                stacks.push({ name, tier: normalizeTier(entry.item.tier), quantity });
+            }
+        });
+        return stacks;
+    }
+
+    /**
+     * Converts an item from a '/api/market/items' response into the format kept in the 'items'
+     * store.
+     *
+     * @param {Object} item - The market item. See storeItemsIndexedDB for its properties.
+     * @param {number} capturedAt - When the item was seen, in ms.
+     * @returns {Object} - { id, hashed_id, minimumPrice, name, tier, lastSeen }
+     */
+    function parseMarketItem(item, capturedAt) {
+        const itemData = {
+            id: item.id,
+            hashed_id: item.hashed_id,
+            minimumPrice: parsePrice(item.price.minimum),
+            name: item.name,
+            tier: normalizeTier(item.tier),
+            lastSeen: capturedAt,
+        };
+
+        return itemData;
+    }
+
+    /**
+     * Builds a price table for calculateProfit from '/api/market/items' or
+     * '/api/market/listings' response items. Only tier 1 prices are included, since that's what
+     * recipes use. When an item appears more than once, its lowest price is kept, as
+     * storeItemsIndexedDB does.
+     *
+     * @param {Array} items - The response's 'data' array.
+     * @param {number} [capturedAt=Date.now()] - When the items were seen, in ms.
+     * @returns {Object} - Parsed items keyed by name.
+     */
+    function buildPriceTable(items, capturedAt = Date.now()) {
+        const prices = {};
+        items.forEach(item => {
+            const itemData = parseMarketItem(item, capturedAt);
+            const current = prices[itemData.name];
+            if (itemData.tier === 1 && (!current || itemData.minimumPrice < current.minimumPrice)) {
+                prices[itemData.name] = itemData;
+            }
+        });
+        return prices;
+    }
+
+    /**
+     * Calculates how many times a recipe can be made per hour.
+     *
+     * @param {number} waitLength - The recipe's 'wait_length', in seconds.
+     * @returns {number} - Crafts per hour, or 0 if the recipe has no craft time.
+     */
+    function calculateCraftsPerHour(waitLength) {
+        return waitLength ? 3600 / waitLength : 0;
+    }
+
+    /**
+     * Calculates how much experience a recipe gives per hour. This doesn't depend on prices, so
+     * it's known even when the recipe's profit isn't.
+     *
+     * @param {Object} recipeData - A recipe from the '/api/skills/' payload.
+     * @returns {number|null} - XP per hour, or null if the recipe has no XP or craft time.
+     */
+    function calculateXpPerHour(recipeData) {
+        const experience = parseFloat(recipeData.experience) || 0;
+        const numPerHour = calculateCraftsPerHour(recipeData.wait_length);
+        return experience && numPerHour ? Math.round(experience * numPerHour) : null;
+    }
+
+    /**
+     * Calculates what it costs to buy a quantity of an item by working up the order book,
+     * cheapest listings first. If the book doesn't hold enough units, the remainder is priced
+     * at the most expensive listing seen.
+     *
+     * @param {Array<Object>} levels - { price, quantity } listings, cheapest first.
+     * @param {number} quantity - The number of units to buy.
+     * @returns {number} - The total cost. Throws if there's something to buy but the book is
+     * empty.
+     */
+    function calculateBuyCost(levels, quantity) {
+        if (quantity <= 0) {
+            return 0;
+        }
+        if (levels.length === 0) {
+            throw new Error('Order book has no listings');
+        }
+
+        let remaining = quantity;
+        let cost = 0;
+
+        for (const level of levels) {
+            const bought = Math.min(remaining, level.quantity);
+            cost += bought * level.price;
+            remaining -= bought;
+            if (remaining <= 0) {
+                return cost;
+            }
+        }
+
+        return cost + remaining * levels[levels.length - 1].price;
+    }
+
+    /**
+     * Picks the price to value a market item at, so a single troll listing or one-off undercut
+     * doesn't swing every profit. Strategies are:
+     * - 'minimum': The latest minimum price.
+     * - 'median': The median of the most recent observed minimum prices.
+     * - 'trimmedMean': The mean of the same observations, ignoring the highest and lowest
+     *   TRIMMED_MEAN_FRACTION of them.
+     * - 'depth': The lowest price at which at least minQuantity units are listed, counting every
+     *   cheaper listing. If fewer are listed, the most expensive listing is used.
+     *
+     * Falls back to the latest minimum price when there's no history or order book to use, and
+     * says so in the result, so the price isn't mistaken for a steadier one.
+     *
+     * @param {Object} item - An item in the 'items' store format.
+     * @param {Object} [options]
+     * @param {string} [options.strategy='minimum'] - One of PRICE_STRATEGIES.
+     * @param {Array<number>} [options.history] - Observed minimum prices, oldest first.
+     * @param {Array<Object>} [options.levels] - An order book ({ price, quantity } listings,
+     *                                           cheapest first).
+     * @param {number} [options.historyCount] - How many of the latest observations to use.
+     * @param {number} [options.minQuantity] - Units needed for the 'depth' strategy.
+     * @returns {Object} - { price, strategy }, where strategy is the one that picked the price:
+     * the requested one, or 'minimum' after a fallback.
+     */
+    function calculateReferencePrice(item, options = {}) {
+        const {
+            strategy = 'minimum',
+            history = [],
+            levels = [],
+            historyCount = DEFAULT_SETTINGS.priceHistoryCount,
+            minQuantity = DEFAULT_SETTINGS.priceDepthQuantity,
+        } = options;
+
+        const recent = history
+            .filter(price => typeof price === 'number' && !isNaN(price))
+            .slice(-historyCount)
+            .sort((a, b) => a - b);
+
+        switch (strategy) {
+            case 'median':
+                if (recent.length > 0) {
+                    const middle = Math.floor(recent.length / 2);
+                    const price = recent.length % 2
+                        ? recent[middle]
+                        : Math.round((recent[middle - 1] + recent[middle]) / 2);
+                    return { price, strategy };
+                }
+                break;
+            case 'trimmedMean':
+                if (recent.length > 0) {
+                    const trim = Math.floor(recent.length * TRIMMED_MEAN_FRACTION);
+                    const kept = recent.slice(trim, recent.length - trim);
+                    return { price: Math.round(kept.reduce((sum, price) => sum + price, 0) / kept.length), strategy };
+                }
+                break;
+            case 'depth':
+                if (levels.length > 0) {
+                    let listed = 0;
+                    for (const level of levels) {
+                        listed += level.quantity;
+                        if (listed >= minQuantity) {
+                            return { price: level.price, strategy };
+                        }
+                    }
+                    return { price: levels[levels.length - 1].price, strategy };
+                }
+                break;
+        }
+
+        return { price: item.minimumPrice, strategy: 'minimum' };
+    }
+
+    /**
+     * Works out what one crafted item sells for. Vendor values and ignored items aren't sold on
+     * the market, so aren't taxed. A market item can also carry a 'vendorPrice' (from a vendor
+     * value override, see calculateProfit), and then the higher of that and the taxed market
+     * price is used.
+     *
+     * @param {Object} recipeItem - The crafted item's price table entry (see calculateProfit).
+     * @param {number} taxMultiplier - The market tax multiplier.
+     * @returns {Object} - { sellPrice, sellPriceWithTax, sellSource, marketSaleValue,
+     * vendorSaleValue }, where the last two are the value of each sale channel when known.
+     */
+    function calculateSaleValue(recipeItem, taxMultiplier) {
+        const sale = {
+            sellPrice: recipeItem.minimumPrice,
+            sellPriceWithTax: 0,
+            sellSource: recipeItem.priceSource || 'market',
+            // The value of the sale channel that wasn't picked, for the breakdown
+            marketSaleValue: null,
+            vendorSaleValue: null,
+        };
+
+        if (recipeItem.override && recipeItem.override !== 'fixed') {
+            sale.sellPriceWithTax = sale.sellPrice;
+            sale.sellSource = OVERRIDE_SOURCES[recipeItem.override];
+            return sale;
+        }
+
+        sale.sellPriceWithTax = Math.floor(sale.sellPrice * taxMultiplier);
+        if (recipeItem.override) {
+            sale.sellSource = OVERRIDE_SOURCES[recipeItem.override];
+        }
+
+        // Selling to a vendor is untaxed and instant, so use it when it pays more
+        if (recipeItem.vendorPrice !== undefined) {
+            sale.vendorSaleValue = recipeItem.vendorPrice;
+        }
+        if (recipeItem.vendorPrice > sale.sellPriceWithTax) {
+            sale.marketSaleValue = sale.sellPriceWithTax;
+            sale.sellPrice = recipeItem.vendorPrice;
+            sale.sellPriceWithTax = recipeItem.vendorPrice;
+            sale.sellSource = 'vendor sale';
+        }
+        return sale;
+    }
+
+    /**
+     * Works out the unit price of a recipe input when buying an hour's worth of it.
+     *
+     * A single cheap listing shouldn't make a recipe look profitable, so when the input has an
+     * order book the price is averaged over the listings needed to fill the hourly quantity.
+     * Both single-step and production chain profits price inputs this way.
+     *
+     * @param {Object} itemData - The input's price table entry (see calculateProfit).
+     * @param {number} quantityPerHour - How many units an hour of crafting uses.
+     * @returns {Object} - { unitPrice, source }, where source is one of OVERRIDE_SOURCES,
+     * 'vendor', 'order book' or the market price source.
+     */
+    function calculateInputUnitPrice(itemData, quantityPerHour) {
+        if (itemData.override) {
+            return { unitPrice: itemData.minimumPrice, source: OVERRIDE_SOURCES[itemData.override] };
+        }
+        if (itemData.vendor) {
+            return { unitPrice: itemData.minimumPrice, source: 'vendor' };
+        }
+
+        const quantity = Math.ceil(quantityPerHour);
+        if (itemData.levels && itemData.levels.length > 0 && quantity > 0) {
+            return { unitPrice: calculateBuyCost(itemData.levels, quantity) / quantity, source: 'order book' };
+        }
+        return { unitPrice: itemData.minimumPrice, source: itemData.priceSource || 'market' };
+    }
+
+    /**
+     * Calculates profit per hour for a recipe from plain price data.
+     *
+     * Each price table entry is an item in the 'items' store format (see parseMarketItem), with
+     * these optional extras:
+     * - vendor: true if the price is a vendor shop price.
+     * - priceSource: How a market price was picked, eg: 'market median'. Defaults to 'market'.
+     * - levels: An order book ({ price, quantity } listings, cheapest first). Inputs are then
+     *   priced at the average cost of buying an hour's worth.
+     *
+     * Price overrides take priority over the price table. See findPriceOverride for the modes.
+     * The exception is a crafted item with a vendor value override and a market price: it's
+     * valued at whichever of the two sale channels pays more.
+     *
+     * @param {Object} recipeData - A recipe from the '/api/skills/' payload.
+     * @param {Object} prices - Price table entries keyed by item name.
+     * @param {Object} [options]
+     * @param {number} [options.taxMultiplier] - The market tax multiplier. Defaults to the
+     *                                           non-premium rate.
+     * @param {Object} [options.priceOverrides] - Overrides by item name. Defaults to
+     *                                            DEFAULT_SETTINGS.priceOverrides.
+     * @returns {Object} - The profit and how it was worked out. See calculateRecipeProfit for
+     * the format ('chain' is always null here). Throws with the reason if the recipe has no
+     * craft time or any price is missing.
+     */
+    function calculateProfit(recipeData, prices, options = {}) {
+        const taxMultiplier = options.taxMultiplier ?? STANDARD_TAX_MULTIPLIER;
+        const priceOverrides = options.priceOverrides ?? DEFAULT_SETTINGS.priceOverrides;
+
+        const lookup = name => {
+            const override = priceOverrides[name];
+            if (override) {
+                return { name, minimumPrice: override.mode === 'ignore' ? 0 : override.price, override: override.mode };
+            }
+            if (!prices[name]) {
+                throw new Error(`No price for ${name}`);
+            }
+            return prices[name];
+        };
+
+        // Extract craft time (in seconds)
+        const craftTimeSeconds = recipeData.wait_length || 0;
+        const numPerHour = calculateCraftsPerHour(craftTimeSeconds);
+        if (!numPerHour) {
+            throw new Error('No craft time');
+        }
+
+        // Track the oldest market price used so its age can be shown on the badge
+        let oldestPriceSeen = null;
+
+        const vendorOverride = priceOverrides[recipeData.name]?.mode === 'vendor' ? priceOverrides[recipeData.name] : null;
+        const marketItem = prices[recipeData.name];
+        const recipeItem = vendorOverride && marketItem && !marketItem.override
+            ? Object.assign({}, marketItem, { vendorPrice: vendorOverride.price })
+            : lookup(recipeData.name);
+        if (recipeItem.lastSeen) {
+            oldestPriceSeen = recipeItem.lastSeen;
+        }
+        const sale = calculateSaleValue(recipeItem, taxMultiplier);
+
+        // Calculate ingredient costs
+        let totalCost = 0;
+        const requirements = [];
+
+        if (recipeData.requirements && typeof recipeData.requirements === 'object') {
+            // Requirements is an object with item IDs as keys, convert to array
+            const requirementsArray = Object.values(recipeData.requirements);
+
+            for (const requirement of requirementsArray) {
+                const itemName = requirement.item?.name;
+                const quantity = requirement.quantity_requirement || 0;
+
+                if (!itemName || !quantity) {
+                    continue;
+                }
+
+                // Throws if we don't have all ingredient prices (but allow totalCost = 0 for gathering skills)
+                const itemData = lookup(itemName);
+                if (itemData.lastSeen && (oldestPriceSeen === null || itemData.lastSeen < oldestPriceSeen)) {
+                    oldestPriceSeen = itemData.lastSeen;
+                }
+
+                const { unitPrice, source } = calculateInputUnitPrice(itemData, quantity * numPerHour);
+                totalCost += unitPrice * quantity;
+                requirements.push({ name: itemName, quantity, unitPrice, source });
+            }
+        }
+
+        // Calculate profit per hour
+        const totalProfit = sale.sellPriceWithTax - totalCost;
+        const profitPerHour = Math.round(totalProfit * numPerHour);
+
+        // Calculate XP per hour, and what each XP earns or costs
+        const experience = parseFloat(recipeData.experience) || 0;
+        const xpPerHour = calculateXpPerHour(recipeData);
+        const goldPerXp = experience ? Math.round(totalProfit / experience * 100) / 100 : null;
+
+        return {
+            profitPerHour,
+            oldestPriceSeen,
+            sellPrice: sale.sellPrice,
+            sellPriceWithTax: sale.sellPriceWithTax,
+            taxMultiplier,
+            sellSource: sale.sellSource,
+            marketSaleValue: sale.marketSaleValue,
+            vendorSaleValue: sale.vendorSaleValue,
+            requirements,
+            craftTimeSeconds,
+            craftsPerHour: numPerHour,
+            xpPerHour,
+            goldPerXp,
+            chain: null,
+        };
+    }
+
+    /**
+     * Page Renders
+     */
+
+    /**
+     * Adds the settings panel to the page.
+     *
+     * The panel is hidden behind a small toggle button. Saving re-renders the current page so
+     * the new values are applied straight away.
+     */
+    function renderSettingsPanel() {
+        if (!document.body || document.querySelector('[data-panel="preferences"]')) {
+            return;
+        }
+
+        const toggle = document.createElement('button');
+        toggle.setAttribute('data-panel', 'preferences-toggle');
+        toggle.type = 'button';
+        toggle.textContent = '⚙';
+        toggle.style.cssText = 'position:fixed;bottom:12px;right:12px;z-index:9999;width:28px;height:28px;' +
+            'border-radius:6px;background:#1f2937;color:#9ca3af;font-size:14px;opacity:0.6;';
+
+        const panel = document.createElement('div');
+        panel.setAttribute('data-panel', 'preferences');
+        panel.style.cssText = 'position:fixed;bottom:48px;right:12px;z-index:9999;width:280px;max-height:70vh;' +
+            'overflow-y:auto;padding:12px;border-radius:8px;background:#111827;color:#e5e7eb;font-size:12px;' +
+            'box-shadow:0 4px 12px rgba(0,0,0,0.5);display:none;';
+
+        toggle.addEventListener('click', () => {
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        });
+
+        panel.appendChild(createSettingsForm());
+        panel.appendChild(createWatchlistSection());
+        panel.appendChild(createOverridesSection());
+        panel.appendChild(createDataSection());
+        panel.appendChild(createDebugSection());
+
+        document.body.appendChild(panel);
+        document.body.appendChild(toggle);
+    }
+
+    /**
+     * Builds the settings form shown in the settings panel.
+     *
+     * @returns {HTMLFormElement}
+     */
+    function createSettingsForm() {
+        const settings = getSettings();
+        const form = document.createElement('form');
+
+        const addField = (label, input) => {
+            const row = document.createElement('label');
+            row.style.cssText = 'display:flex;justify-content:space-between;align-items:center;gap:8px;margin-bottom:6px;';
+            row.append(label, input);
+            form.appendChild(row);
+        };
+        const checkbox = (name, checked) => {
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.name = name;
+            input.checked = checked;
+            return input;
+        };
+        const select = (name, value, options) => {
+            const input = document.createElement('select');
+            input.name = name;
+            input.style.cssText = 'padding:2px 4px;border-radius:4px;background:#1f2937;color:#e5e7eb;';
+            Object.keys(options).forEach(option => input.add(new Option(options[option], option)));
+            input.value = value;
+            return input;
+        };
+        const number = (name, value, placeholder) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.name = name;
+            input.min = '0';
+            input.step = 'any';
+            input.value = value === null ? '' : value;
+            input.placeholder = placeholder || '';
+            input.style.cssText = 'width:72px;padding:2px 4px;border-radius:4px;background:#1f2937;color:#e5e7eb;';
+            return input;
+        };
+
+        addField('Premium membership', checkbox('hasPremium', settings.hasPremium));
+        addField('Custom tax %', number('customTaxPercent', settings.customTaxPercent, 'auto'));
+        addField('Stale price cutoff (hours, 0 = never)', number('stalePriceHours', settings.stalePriceHours));
+        addField('Market price', select('priceStrategy', settings.priceStrategy, PRICE_STRATEGIES));
+        addField('Recent prices for median/mean', number('priceHistoryCount', settings.priceHistoryCount));
+        addField('Units listed for depth', number('priceDepthQuantity', settings.priceDepthQuantity));
+        addField('Show profit/hr', checkbox('showProfit', settings.showProfit));
+        addField('Show price age', checkbox('showPriceAge', settings.showPriceAge));
+        addField('Show XP/hr', checkbox('showXpPerHour', settings.showXpPerHour));
+        addField('Show gold per XP', checkbox('showGoldPerXp', settings.showGoldPerXp));
+        addField('Show production chain profit/hr', checkbox('showChainProfit', settings.showChainProfit));
+        addField('Debug mode', checkbox('debug', settings.debug));
+        addField('Mirror debug log to GM_log', checkbox('debugMirrorToGmLog', settings.debugMirrorToGmLog));
+
+        const save = document.createElement('button');
+        save.type = 'submit';
+        save.textContent = 'Save';
+        save.style.cssText = 'margin-top:4px;padding:2px 10px;border-radius:4px;background:#374151;color:#e5e7eb;';
+        form.appendChild(save);
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const customTax = form.elements.customTaxPercent.value;
+            saveSettings(Object.assign(getSettings(), {
+                hasPremium: form.elements.hasPremium.checked,
+                customTaxPercent: customTax === '' ? null : parseFloat(customTax),
+                stalePriceHours: parseFloat(form.elements.stalePriceHours.value) || 0,
+                priceStrategy: form.elements.priceStrategy.value,
+                priceHistoryCount: parseInt(form.elements.priceHistoryCount.value, 10) || DEFAULT_SETTINGS.priceHistoryCount,
+                priceDepthQuantity: parseInt(form.elements.priceDepthQuantity.value, 10) || DEFAULT_SETTINGS.priceDepthQuantity,
+                showProfit: form.elements.showProfit.checked,
+                showPriceAge: form.elements.showPriceAge.checked,
+                showXpPerHour: form.elements.showXpPerHour.checked,
+                showGoldPerXp: form.elements.showGoldPerXp.checked,
+                showChainProfit: form.elements.showChainProfit.checked,
+                debug: form.elements.debug.checked,
+                debugMirrorToGmLog: form.elements.debugMirrorToGmLog.checked,
+            }));
+
+            // Show or hide the diagnostics viewer to match debug mode
+            document.querySelector('[data-section="debug"]')?.replaceWith(createDebugSection());
+
+            rerenderPage();
+        });
+
+        return form;
+    }
+
+    /**
+     * Shows a short-lived message in the corner of the page.
+     *
+     * @param {string} message
+     */
+    function showToast(message) {
+        if (!document.body) {
+            return;
+        }
+
+        let stack = document.querySelector('[data-panel="toasts"]');
+        if (!stack) {
+            stack = document.createElement('div');
+            stack.setAttribute('data-panel', 'toasts');
+            stack.style.cssText = 'position:fixed;bottom:12px;left:12px;z-index:10000;display:flex;flex-direction:column;gap:6px;';
+            document.body.appendChild(stack);
+        }
+
+        const toast = document.createElement('div');
+        toast.textContent = message;
+        toast.style.cssText = 'max-width:320px;padding:8px 12px;border-radius:6px;background:#111827;color:#e5e7eb;' +
+            'font-size:12px;box-shadow:0 4px 12px rgba(0,0,0,0.5);cursor:pointer;';
+        toast.addEventListener('click', () => toast.remove());
+        stack.appendChild(toast);
+
+        setTimeout(() => toast.remove(), 8000);
+    }
+
+    /**
+     * Builds the watchlist editor shown in the settings panel.
+     *
+     * @returns {HTMLDivElement}
+     */
+    function createWatchlistSection() {
+        const section = document.createElement('div');
+        section.setAttribute('data-section', 'watchlist');
+        section.style.cssText = 'margin-top:10px;padding-top:8px;border-top:1px solid #374151;';
+
+        const inputStyle = 'padding:2px 4px;border-radius:4px;background:#1f2937;color:#e5e7eb;';
+
+        const saveWatchlist = watchlist => {
+            saveSettings(Object.assign(getSettings(), { watchlist }));
+            section.replaceWith(createWatchlistSection());
+        };
+
+        const title = document.createElement('div');
+        title.textContent = 'Watchlist';
+        title.style.cssText = 'margin-bottom:4px;font-weight:600;';
+        section.appendChild(title);
+
+        const watchlist = getSettings().watchlist;
+        Object.keys(watchlist).sort().forEach(name => {
+            const { buyBelow, sellAbove, notify } = watchlist[name];
+            const thresholds = [];
+            if (buyBelow !== null) {
+                thresholds.push(`buy < ${buyBelow.toLocaleString()}`);
+            }
+            if (sellAbove !== null) {
+                thresholds.push(`sell > ${sellAbove.toLocaleString()}`);
+            }
+
+            const row = document.createElement('div');
+            row.style.cssText = 'display:flex;justify-content:space-between;gap:6px;margin-bottom:2px;';
+            const label = document.createElement('span');
+            label.textContent = `★ ${name}: ${thresholds.join(', ') || 'no alerts set'}${notify ? ' 🔔' : ''}`;
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => {
+                const updated = Object.assign({}, watchlist);
+                delete updated[name];
+                saveWatchlist(updated);
+            });
+            row.append(label, remove);
+            section.appendChild(row);
+        });
+
+        const form = document.createElement('form');
+        form.style.cssText = 'display:flex;flex-wrap:wrap;gap:4px;margin-top:4px;';
+        const nameInput = document.createElement('input');
+        nameInput.placeholder = 'Item name';
+        nameInput.required = true;
+        nameInput.style.cssText = inputStyle + 'flex:1 1 100%;';
+        const number = placeholder => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.placeholder = placeholder;
+            input.style.cssText = inputStyle + 'width:70px;';
+            return input;
+        };
+        const buyInput = number('Buy below');
+        const sellInput = number('Sell above');
+        const notifyLabel = document.createElement('label');
+        const notifyInput = document.createElement('input');
+        notifyInput.type = 'checkbox';
+        notifyLabel.append(notifyInput, ' Notify');
+        const add = document.createElement('button');
+        add.type = 'submit';
+        add.textContent = 'Watch';
+        add.style.cssText = 'padding:2px 8px;border-radius:4px;background:#374151;color:#e5e7eb;';
+        form.append(nameInput, buyInput, sellInput, notifyLabel, add);
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const buyBelow = buyInput.value === '' ? null : parseFloat(buyInput.value);
+            const sellAbove = sellInput.value === '' ? null : parseFloat(sellInput.value);
+            if (buyBelow === null && sellAbove === null) {
+                buyInput.focus();
+                return;
+            }
+            saveWatchlist(Object.assign({}, watchlist, {
+                [nameInput.value.trim()]: { buyBelow, sellAbove, notify: notifyInput.checked },
+            }));
+        });
+
+        section.appendChild(form);
+        return section;
+    }
+
+    /**
+     * Creates a star button that adds an item to the watchlist, or removes it. Starred items
+     * appear in the settings panel's watchlist, where buy and sell alerts can be set.
+     *
+     * @param {string} name - The item name.
+     * @returns {HTMLButtonElement}
+     */
+    function createStarButton(name) {
+        const star = document.createElement('button');
+        star.type = 'button';
+        star.style.cssText = 'margin-right:4px;color:#facc15;';
+
+        const update = () => {
+            const starred = name in getSettings().watchlist;
+            star.textContent = starred ? '★' : '☆';
+            star.title = starred ? 'Remove from watchlist' : 'Add to watchlist';
+        };
+        update();
+
+        star.addEventListener('click', event => {
+            event.stopPropagation();
+            const watchlist = Object.assign({}, getSettings().watchlist);
+            if (name in watchlist) {
+                delete watchlist[name];
+            } else {
+                watchlist[name] = { buyBelow: null, sellAbove: null, notify: false };
+            }
+            saveSettings(Object.assign(getSettings(), { watchlist }));
+            document.querySelector('[data-section="watchlist"]')?.replaceWith(createWatchlistSection());
+            update();
+        });
+
+        return star;
+    }
+
+    /**
+     * Builds the price override editor shown in the settings panel. Changes are saved straight
+     * away and the page is re-rendered.
+     *
+     * @returns {HTMLDivElement}
+     */
+    function createOverridesSection() {
+        const section = document.createElement('div');
+        section.style.cssText = 'margin-top:10px;padding-top:8px;border-top:1px solid #374151;';
+
+        const inputStyle = 'padding:2px 4px;border-radius:4px;background:#1f2937;color:#e5e7eb;';
+        const modeLabels = { fixed: 'Market price', vendor: 'Vendor value', ignore: 'Ignore' };
+
+        const saveOverrides = overrides => {
+            saveSettings(Object.assign(getSettings(), { priceOverrides: overrides }));
+            section.replaceWith(createOverridesSection());
+            rerenderPage();
+        };
+
+        const title = document.createElement('div');
+        title.textContent = 'Price overrides';
+        title.style.cssText = 'margin-bottom:4px;font-weight:600;';
+        section.appendChild(title);
+
+        const overrides = getSettings().priceOverrides;
+        Object.keys(overrides).sort().forEach(name => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display:flex;justify-content:space-between;gap:6px;margin-bottom:2px;';
+            const label = document.createElement('span');
+            const { mode, price } = overrides[name];
+            label.textContent = mode === 'ignore' ? `${name}: ignored` : `${name}: ${price.toLocaleString()} (${modeLabels[mode]})`;
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => {
+                const updated = Object.assign({}, overrides);
+                delete updated[name];
+                saveOverrides(updated);
+            });
+            row.append(label, remove);
+            section.appendChild(row);
+        });
+
+        const form = document.createElement('form');
+        form.style.cssText = 'display:flex;gap:4px;margin-top:4px;';
+        const nameInput = document.createElement('input');
+        nameInput.placeholder = 'Item name';
+        nameInput.required = true;
+        nameInput.style.cssText = inputStyle + 'flex:1;min-width:0;';
+        const modeSelect = document.createElement('select');
+        modeSelect.style.cssText = inputStyle;
+        Object.keys(modeLabels).forEach(mode => modeSelect.add(new Option(modeLabels[mode], mode)));
+        const priceInput = document.createElement('input');
+        priceInput.type = 'number';
+        priceInput.min = '0';
+        priceInput.placeholder = 'Price';
+        priceInput.style.cssText = inputStyle + 'width:60px;';
+        const add = document.createElement('button');
+        add.type = 'submit';
+        add.textContent = 'Add';
+        add.style.cssText = 'padding:2px 8px;border-radius:4px;background:#374151;color:#e5e7eb;';
+        form.append(nameInput, modeSelect, priceInput, add);
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const mode = modeSelect.value;
+            const price = parseFloat(priceInput.value);
+            if (mode !== 'ignore' && isNaN(price)) {
+                priceInput.focus();
+                return;
+            }
+            saveOverrides(Object.assign({}, overrides, {
+                [nameInput.value.trim()]: mode === 'ignore' ? { mode } : { mode, price },
+            }));
+        });
+
+        section.appendChild(form);
+        return section;
+    }
+
+    /**
+     * Builds the export/import controls shown in the settings panel.
+     *
+     * JSON exports hold every store in one file. CSV exports are one file per store, named
+     * after the store, and CSV imports use the file name to pick the store ('items' otherwise).
+     *
+     * @returns {HTMLDivElement}
+     */
+    function createDataSection() {
+        const section = document.createElement('div');
+        section.style.cssText = 'margin-top:10px;padding-top:8px;border-top:1px solid #374151;';
+
+        const status = document.createElement('div');
+        status.style.cssText = 'margin-top:4px;color:#9ca3af;';
+
+        const button = (label, onClick) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.textContent = label;
+            element.style.cssText = 'margin:0 4px 4px 0;padding:2px 8px;border-radius:4px;background:#374151;color:#e5e7eb;';
+            element.addEventListener('click', onClick);
+            section.appendChild(element);
+        };
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,.csv';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) {
+                return;
+            }
+            try {
+                const text = await file.text();
+                let dump;
+                if (file.name.toLowerCase().endsWith('.csv')) {
+                    const storeName = Array.from(db.objectStoreNames)
+                        .find(name => file.name.includes(`-${name}.csv`)) || 'items';
+                    dump = { [storeName]: csvToRecords(text) };
+                } else {
+                    dump = JSON.parse(text);
+                }
+                const written = await importDatabase(dump);
+                status.textContent = `Imported ${written} record(s).`;
+
+                rerenderPage();
+            } catch (error) {
+                status.textContent = `Import failed: ${error.message}`;
+            }
+        });
+
+        button('Export JSON', async () => {
+            try {
+                const dump = await exportDatabase();
+                downloadFile('MarketDatabase.json', JSON.stringify(dump), 'application/json');
+            } catch (error) {
+                status.textContent = `Export failed: ${error.message}`;
+            }
+        });
+        button('Export CSV', async () => {
+            try {
+                const dump = await exportDatabase();
+                Object.keys(dump).forEach(storeName => {
+                    downloadFile(`MarketDatabase-${storeName}.csv`, recordsToCsv(dump[storeName]), 'text/csv');
+                });
+            } catch (error) {
+                status.textContent = `Export failed: ${error.message}`;
+            }
+        });
+        button('Import', () => fileInput.click());
+
+        section.append(fileInput, status);
+        return section;
+    }
+
+    /**
+     * Builds the diagnostics viewer shown in the settings panel when debug mode is enabled.
+     *
+     * @returns {HTMLDivElement}
+     */
+    function createDebugSection() {
+        const section = document.createElement('div');
+        section.setAttribute('data-section', 'debug');
+        section.style.cssText = 'margin-top:10px;padding-top:8px;border-top:1px solid #374151;';
+        if (!getSettings().debug) {
+            section.hidden = true;
+            return section;
+        }
+
+        const title = document.createElement('div');
+        title.textContent = 'Diagnostics';
+        title.style.cssText = 'margin-bottom:4px;font-weight:600;';
+
+        const log = document.createElement('pre');
+        log.style.cssText = 'max-height:200px;overflow:auto;margin:4px 0;padding:4px;border-radius:4px;' +
+            'background:#1f2937;font-size:11px;white-space:pre-wrap;';
+
+        const refresh = async () => {
+            const entries = await getDebugLog();
+            log.textContent = entries.length === 0
+                ? 'No events recorded.'
+                : entries.slice().reverse()
+                    .map(entry => `${new Date(entry.time).toLocaleTimeString()} [${entry.category}] ${entry.reason}`)
+                    .join('\n');
+        };
+
+        const button = (label, onClick) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.textContent = label;
+            element.style.cssText = 'margin-right:4px;padding:2px 8px;border-radius:4px;background:#374151;color:#e5e7eb;';
+            element.addEventListener('click', onClick);
+            return element;
+        };
+
+        section.append(title, log, button('Refresh', refresh), button('Clear', async () => {
+            await clearDebugLog();
+            refresh();
+        }));
+        refresh();
+        return section;
+    }
+
+    /**
+     * Offers a file to the user as a download.
+     *
+     * @param {string} filename
+     * @param {string} content
+     * @param {string} mimeType
+     */
+    function downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Values the character's inventory from an intercepted inventory response, and shows the
+     * total in a collapsible panel at the top of the page.
+     *
+     * Each stack is valued at what it would sell for: the market price after tax, or its vendor
+     * value when higher, with price overrides taking priority. Stacks without a known (or fresh)
+     * price are listed separately.
+     *
+     * @param {Array} inventory - { name, tier, quantity } stacks, as returned by parseInventory.
+     */
+    async function renderInventoryValue(inventory) {
+        await loadPriceCache().catch(error => logDebug('database', `Failed to load prices: ${error.message}`));
+
+        const taxMultiplier = getMarketTaxMultiplier();
+        const valued = [];
+        const unpriced = [];
+        let total = 0;
+
+        inventory.forEach(({ name, tier, quantity }) => {
+            const unitValue = getSaleValue(name, tier, taxMultiplier);
+            if (unitValue === null) {
+                unpriced.push({ name, quantity });
+                return;
+            }
+            total += unitValue * quantity;
+            valued.push({ name, quantity, value: unitValue * quantity });
+        });
+
+        valued.sort((a, b) => b.value - a.value);
+
+        const main = document.querySelector('main');
+        if (!main) {
+            logDebug('render', 'No main element to show the inventory value in');
+            return;
+        }
+
+        let panel = main.querySelector('[data-panel="inventory"]');
+        if (!panel) {
+            panel = document.createElement('details');
+            panel.setAttribute('data-panel', 'inventory');
+            panel.style.cssText = 'margin-bottom:12px;padding:8px 12px;border-radius:8px;background:rgba(17,24,39,0.8);color:#e5e7eb;font-size:12px;';
+            panel.appendChild(document.createElement('summary'));
+            panel.firstChild.style.cssText = 'cursor:pointer;font-size:13px;font-weight:600;';
+            main.prepend(panel);
+        }
+        panel.firstChild.textContent = `Inventory value: ${total.toLocaleString()} (after tax)`;
+
+        const content = document.createElement('div');
+        const addList = (title, rows) => {
+            if (rows.length === 0) {
+                return;
+            }
+            const heading = document.createElement('div');
+            heading.textContent = title;
+            heading.style.cssText = 'margin-top:6px;color:#9ca3af;';
+            const table = document.createElement('table');
+            table.style.cssText = 'width:100%;border-collapse:collapse;';
+            rows.forEach(([label, value]) => {
+                const row = table.insertRow();
+                row.insertCell().textContent = label;
+                const valueCell = row.insertCell();
+                valueCell.textContent = value;
+                valueCell.style.cssText = 'text-align:right;white-space:nowrap;';
+            });
+            content.append(heading, table);
+        };
+
+        addList('Top items by value', valued.slice(0, 10)
+            .map(item => [`${item.name} × ${item.quantity.toLocaleString()}`, item.value.toLocaleString()]));
+        addList('No known price', unpriced
+            .map(item => [item.name, `× ${item.quantity.toLocaleString()}`]));
+
+        panel.querySelector('div')?.remove();
+        panel.appendChild(content);
+    }
+
+    /**
+     * Works out what one unit of an item sells for, from the price cache and overrides.
+     *
+     * @param {string} name - The item name.
+     * @param {number} tier - The item tier.
+     * @param {number} taxMultiplier - The market tax multiplier.
+     * @returns {number|null} - The better of the taxed market price and the vendor value, or
+     * null if the item has no known, fresh price.
+     */
+    function getSaleValue(name, tier, taxMultiplier) {
+        const override = findPriceOverride(name);
+        if (override && override.mode !== 'vendor') {
+            return override.mode === 'ignore' ? 0 : Math.floor(override.price * taxMultiplier);
+        }
+
+        const item = priceCache?.items.get(priceCacheKey(name, tier));
+        const vendorValue = override ? override.price : null;
+        if (!item || isPriceStale(item) || typeof item.minimumPrice !== 'number') {
+            return vendorValue;
+        }
+        return Math.max(Math.floor(item.minimumPrice * taxMultiplier), vendorValue || 0);
+    }
+
+    /**
+     * Waits for the current page's '/api/skills/' payload to be captured into
+     * window.skillItemsData.
+     *
+     * Callers waiting at the same time share one wait, so a timeout is only logged once.
+     *
+     * @returns {Promise<boolean>} - Resolves false if the data never arrived.
+     */
+    function waitForSkillItemsData() {
+        if (skillItemsDataWait === null) {
+            skillItemsDataWait = pollSkillItemsData().finally(() => {
+                skillItemsDataWait = null;
+            });
+        }
+        return skillItemsDataWait;
+    }
+
+    async function pollSkillItemsData() {
+        let attempts = 0;
+        while (!hasSkillItemsData() && attempts < 50) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            attempts++;
+        }
+
+        if (!hasSkillItemsData()) {
+            logDebug('render', `Timed out waiting for window.skillItemsData on ${currentPage}`);
+        }
+        return hasSkillItemsData();
+    }
+
+    /**
+     * Checks whether window.skillItemsData holds the current page's recipes, rather than being
+     * missing or left over from another skill page.
+     *
+     * @returns {boolean}
+     */
+    function hasSkillItemsData() {
+        return Boolean(window.skillItemsData) && skillItemsSkill === currentPage;
+    }
+
+    async function renderCraftProfit() {
+        // Wait for skill data to be available (with timeout)
+        if (!await waitForSkillItemsData()) {
+            return; // Logged by waitForSkillItemsData
+        }
 
         // Find all recipe list items in the new structure
         const recipeList = document.querySelector('main ul');
         if (!recipeList) {
-            return; // Silently fail
+            logDebug('render', `No 'main ul' recipe list found on ${currentPage}`);
+            return;
         }
 
         const recipeButtons = recipeList.querySelectorAll('button');
+        const targets = [];
 
-        // Process each recipe
+        // Find each recipe still missing a badge
         for (const button of recipeButtons) {
             // Skip if we already added profit display (check by data attribute instead of class)
             const listItem = button.querySelector('li');
@@ -326,88 +2824,759 @@
             // Find matching recipe data from API
             const recipeData = window.skillItemsData.find(item => item.name === recipeName);
             if (!recipeData) {
-                continue; // Silently skip
+                logDebug('render', `No skill data for recipe ${recipeName}`);
+                continue;
+            }
+
+            // Append the profit to the list item that we already found
+            targets.push({ container: listItem, recipeData });
+        }
+
+        await insertProfitBadges(targets);
+    }
+
+    /**
+     * Renders profit/hr on the forge page.
+     *
+     * The forge doesn't list recipes as buttons in 'main ul' like the other skills, so recipes
+     * are found by matching headings inside 'main' against the captured skill data. The badge
+     * is added to the heading's container.
+     */
+    async function renderForgeProfit() {
+        if (!await waitForSkillItemsData()) {
+            return; // Logged by waitForSkillItemsData
+        }
+
+        const main = document.querySelector('main');
+        if (!main) {
+            logDebug('render', `No main element found on ${currentPage}`);
+            return;
+        }
+
+        const targets = [];
+        for (const heading of main.querySelectorAll('h2, h3')) {
+            const recipeName = heading.textContent.trim();
+            const recipeData = window.skillItemsData.find(item => item.name === recipeName);
+            if (!recipeData) {
+                continue;
+            }
+
+            const container = heading.parentElement;
+            if (!container || container.querySelector('[data-metric="rate"]')) {
+                continue;
+            }
+
+            targets.push({ container, recipeData });
+        }
+
+        await insertProfitBadges(targets);
+    }
+
+    /**
+     * Calculates profit for every target recipe together, then inserts all of the badges in a
+     * single frame. Recipes whose profit can't be calculated only get an XP/hr badge (see
+     * createXpBadge).
+     *
+     * @param {Array<Object>} targets - { container, recipeData } pairs, where container is the
+     *                                  element the badge is appended to.
+     */
+    async function insertProfitBadges(targets) {
+        const badges = await Promise.all(targets.map(async ({ container, recipeData }) => {
+            try {
+                return { container, recipeData, profitSpan: createProfitBadge(await calculateRecipeProfit(recipeData)) };
+            } catch (error) {
+                logDebug('profit', `${recipeData.name}: ${error.message}`);
+                const xpSpan = createXpBadge(recipeData, error.message);
+                return xpSpan ? { container, recipeData, profitSpan: xpSpan } : null;
+            }
+        }));
+
+        // Use requestAnimationFrame to make it seem like natural rendering
+        requestAnimationFrame(() => {
+            badges.filter(badge => badge !== null).forEach(({ container, recipeData, profitSpan }) => {
+                // Another render may have got here first
+                if (!container.querySelector('[data-metric="rate"]')) {
+                    container.appendChild(profitSpan);
+                    badgeRecipes.set(profitSpan, recipeData);
+                }
+            });
+        });
+    }
+
+    /**
+     * Renders a collapsible summary of every recipe on the skill page, sorted by profit/hr.
+     *
+     * Recipes that can't be calculated are listed at the bottom along with the reason, and
+     * still show their XP/hr since it doesn't depend on prices. The panel is added to the top of
+     * 'main' once, and its table is replaced on each render.
+     */
+    async function renderProfitSummary() {
+        if (!await waitForSkillItemsData()) {
+            return; // Logged by waitForSkillItemsData
+        }
+
+        const main = document.querySelector('main');
+        if (!main) {
+            logDebug('render', `No main element found on ${currentPage}`);
+            return;
+        }
+
+        const results = [];
+        for (const recipeData of window.skillItemsData) {
+            try {
+                results.push({ name: recipeData.name, profit: await calculateRecipeProfit(recipeData), reason: null });
+            } catch (error) {
+                results.push({ name: recipeData.name, recipeData, profit: null, reason: error.message });
             }
+        }
 
-            // Extract craft time (in seconds)
-            const craftTimeSeconds = recipeData.wait_length || 0;
-            if (!craftTimeSeconds) {
-                continue; // Silently skip
+        // Recipes that need an input crafted only have a chain profit
+        const headlineProfit = profit => profit.profitPerHour ?? profit.chain.profitPerHour;
+        results.sort((a, b) => {
+            if (a.profit && b.profit) {
+                return headlineProfit(b.profit) - headlineProfit(a.profit);
             }
+            if (a.profit || b.profit) {
+                return a.profit ? -1 : 1;
+            }
+            return a.name.localeCompare(b.name);
+        });
 
-            // Get sell price
-            let recipeSellPrice = 0;
-            let recipeSellPriceWithTax = 0;
+        const settings = getSettings();
+        const extraColumns = [];
+        if (settings.showXpPerHour) {
+            extraColumns.push(profit => profit.xpPerHour === null ? '-' : `${profit.xpPerHour.toLocaleString()} xp/hr`);
+        }
+        if (settings.showGoldPerXp) {
+            extraColumns.push(profit => profit.goldPerXp === null ? '-' : `${profit.goldPerXp.toLocaleString()} g/xp`);
+        }
 
-            if (recipeName === 'Cooked Cod') {
-                // Cannot be sold
-                recipeSellPrice = 2;
-                recipeSellPriceWithTax = 2;
+        const table = document.createElement('table');
+        table.style.cssText = 'width:100%;margin-top:6px;border-collapse:collapse;font-size:12px;';
+        results.forEach(result => {
+            const row = table.insertRow();
+            const nameCell = row.insertCell();
+            const valueCell = row.insertCell();
+            nameCell.append(createStarButton(result.name), result.name);
+            nameCell.style.cssText = 'padding:2px 8px 2px 0;';
+            valueCell.style.cssText = 'padding:2px 0 2px 8px;text-align:right;white-space:nowrap;';
+            if (result.profit) {
+                const chainOnly = result.profit.profitPerHour === null ? '⛓ ' : '';
+                valueCell.textContent = `${chainOnly}${headlineProfit(result.profit).toLocaleString()}/hr`;
+                valueCell.style.color = headlineProfit(result.profit) >= 0 ? '#4ade80' : '#f87171';
+                extraColumns.forEach(column => {
+                    const cell = row.insertCell();
+                    cell.textContent = column(result.profit);
+                    cell.style.cssText = 'padding:2px 0 2px 8px;text-align:right;white-space:nowrap;color:#9ca3af;';
+                });
             } else {
-                try {
-                    const recipeItem = await getItemByNameIndexedDB(recipeName);
-                    recipeSellPrice = recipeItem.minimumPrice;
-                    recipeSellPriceWithTax = Math.floor(recipeSellPrice * MARKET_TAX_MULTIPLIER);
-                } catch (error) {
-                    continue; // Silently skip
+                valueCell.textContent = result.reason;
+                valueCell.style.color = '#9ca3af';
+                const xpOnly = { xpPerHour: calculateXpPerHour(result.recipeData), goldPerXp: null };
+                extraColumns.forEach(column => {
+                    const cell = row.insertCell();
+                    cell.textContent = column(xpOnly);
+                    cell.style.cssText = 'padding:2px 0 2px 8px;text-align:right;white-space:nowrap;color:#9ca3af;';
+                });
+            }
+        });
+
+        let panel = main.querySelector('[data-panel="summary"]');
+        if (!panel) {
+            panel = document.createElement('details');
+            panel.setAttribute('data-panel', 'summary');
+            panel.style.cssText = 'margin-bottom:12px;padding:8px 12px;border-radius:8px;background:rgba(17,24,39,0.8);color:#e5e7eb;';
+            const summary = document.createElement('summary');
+            summary.textContent = 'Profit summary';
+            summary.style.cssText = 'cursor:pointer;font-size:13px;font-weight:600;';
+            panel.appendChild(summary);
+            main.prepend(panel);
+        }
+
+        panel.querySelector('table')?.remove();
+        panel.appendChild(table);
+    }
+
+    /**
+     * Renders a collapsible checklist of every item the skill page's recipes need that has no
+     * price, or only a stale one. Each entry links to that item's market search, so one
+     * focused pass over the market fills the gaps. The panel is removed once nothing is missing.
+     */
+    async function renderMissingPrices() {
+        if (!await waitForSkillItemsData()) {
+            return; // Logged by waitForSkillItemsData
+        }
+
+        const main = document.querySelector('main');
+        if (!main) {
+            logDebug('render', `No main element found on ${currentPage}`);
+            return;
+        }
+
+        // Outputs need a price to sell at, and inputs a price to buy at
+        const needed = new Set();
+        window.skillItemsData.forEach(recipeData => {
+            needed.add(recipeData.name);
+            Object.values(recipeData.requirements || {}).forEach(requirement => {
+                if (requirement.item?.name) {
+                    needed.add(requirement.item.name);
                 }
+            });
+        });
+
+        const missing = [];
+        for (const name of needed) {
+            try {
+                await getPricedItem(name);
+            } catch (error) {
+                missing.push({ name, reason: error.message.startsWith('Stale') ? 'stale' : 'no price' });
             }
+        }
 
-            // Calculate ingredient costs
-            let totalCost = 0;
-            let hasAllPrices = true;
+        let panel = main.querySelector('[data-panel="missing-prices"]');
+        if (missing.length === 0) {
+            panel?.remove();
+            return;
+        }
 
-            if (recipeData.requirements && typeof recipeData.requirements === 'object') {
-                // Requirements is an object with item IDs as keys, convert to array
-                const requirementsArray = Object.values(recipeData.requirements);
+        if (!panel) {
+            panel = document.createElement('details');
+            panel.setAttribute('data-panel', 'missing-prices');
+            panel.style.cssText = 'margin-bottom:12px;padding:8px 12px;border-radius:8px;background:rgba(17,24,39,0.8);color:#e5e7eb;font-size:12px;';
+            panel.appendChild(document.createElement('summary'));
+            panel.firstChild.style.cssText = 'cursor:pointer;font-size:13px;font-weight:600;';
+            const summaryPanel = main.querySelector('[data-panel="summary"]');
+            if (summaryPanel) {
+                summaryPanel.after(panel);
+            } else {
+                main.prepend(panel);
+            }
+        }
+        panel.firstChild.textContent = `Missing prices (${missing.length})`;
 
-                for (const requirement of requirementsArray) {
-                    const itemName = requirement.item?.name;
-                    const quantity = requirement.quantity_requirement || 0;
+        // Not a 'ul', so it can't be mistaken for the recipe list in 'main ul'
+        const list = document.createElement('div');
+        list.style.cssText = 'margin-top:6px;';
+        missing.sort((a, b) => a.name.localeCompare(b.name)).forEach(({ name, reason }) => {
+            const entry = document.createElement('div');
+            const link = document.createElement('a');
+            link.href = `/market?search=${encodeURIComponent(name)}`;
+            link.textContent = name;
+            link.style.cssText = 'color:#60a5fa;text-decoration:underline;';
+            entry.append(createStarButton(name), link, ` (${reason})`);
+            list.appendChild(entry);
+        });
 
-                    if (!itemName || !quantity) {
-                        continue;
-                    }
+        panel.querySelector('div')?.remove();
+        panel.appendChild(list);
+    }
 
-                    try {
-                        const itemData = await getItemByNameIndexedDB(itemName);
-                        totalCost += itemData.minimumPrice * quantity;
-                    } catch (error) {
-                        hasAllPrices = false; // Silently mark as incomplete
-                        break;
+    /**
+     * Calculates profit per hour for a recipe from the '/api/skills/' payload.
+     *
+     * Prices come from the database (including order books, overrides and vendor prices), and
+     * the math is done by calculateProfit.
+     *
+     * If an input has no price but can be crafted from stored recipes, only the production
+     * chain profit is known: 'profitPerHour' and 'goldPerXp' are then null, 'requirements' is
+     * empty and 'unpricedReason' says which price is missing.
+     *
+     * @param {Object} recipeData - A recipe from window.skillItemsData.
+     * @returns {Promise<Object>} - The profit and how it was worked out. Rejects with the reason
+     * if the recipe has no craft time, or a price is unknown or stale and can't be worked
+     * around by crafting. The object format is
+     * as follows:
+     * {
+     *   "profitPerHour": number|null,
+     *   "unpricedReason": string|undefined,
+     *   "oldestPriceSeen": number|null,
+     *   "sellPrice": number,
+     *   "sellPriceWithTax": number,
+     *   "taxMultiplier": number,
+     *   "sellSource": string,
+     *   "marketSaleValue": number|null,
+     *   "vendorSaleValue": number|null,
+     *   "requirements": [{ "name": string, "quantity": number, "unitPrice": number, "source": string }],
+     *   "craftTimeSeconds": number,
+     *   "craftsPerHour": number,
+     *   "xpPerHour": number|null,
+     *   "goldPerXp": number|null,
+     *   "chain": Object|null
+     * }
+     *
+     * XP/hr comes from the recipe's 'experience' per action, and gold per XP is the profit made
+     * (or, when negative, spent) for each XP gained. Both are null if the recipe has no XP.
+     * 'chain' is set when crafting some inputs yourself beats buying them; see
+     * calculateChainProfit.
+     */
+    async function calculateRecipeProfit(recipeData) {
+        if (!calculateCraftsPerHour(recipeData.wait_length)) {
+            throw new Error('No craft time');
+        }
+
+        // Gather every price the recipe needs. The output must have one, but an input without
+        // one may still be worth crafting (see below).
+        const prices = { [recipeData.name]: await getPricedOutput(recipeData.name) };
+        let missing = null;
+        for (const requirement of Object.values(recipeData.requirements || {})) {
+            const name = requirement.item?.name;
+            if (!name || !requirement.quantity_requirement) {
+                continue;
+            }
+            try {
+                prices[name] = await getPricedInput(name);
+            } catch (error) {
+                missing = missing || error;
+            }
+        }
+
+        const taxMultiplier = getMarketTaxMultiplier();
+        if (missing === null) {
+            const profit = calculateProfit(recipeData, prices, {
+                taxMultiplier,
+                priceOverrides: getSettings().priceOverrides,
+            });
+
+            // Check whether making some inputs yourself beats buying them
+            profit.chain = await calculateChainProfit(recipeData, profit.sellPriceWithTax, profit.profitPerHour).catch(() => null);
+            return profit;
+        }
+
+        // An input can't be bought, so the recipe can only be made by crafting that input too
+        const sale = calculateSaleValue(prices[recipeData.name], taxMultiplier);
+        const chain = await calculateChainProfit(recipeData, sale.sellPriceWithTax, null).catch(() => null);
+        if (!chain) {
+            throw missing;
+        }
+
+        return Object.assign(sale, {
+            profitPerHour: null,
+            unpricedReason: missing.message,
+            oldestPriceSeen: prices[recipeData.name].lastSeen || null,
+            taxMultiplier,
+            requirements: [],
+            craftTimeSeconds: recipeData.wait_length,
+            craftsPerHour: calculateCraftsPerHour(recipeData.wait_length),
+            xpPerHour: calculateXpPerHour(recipeData),
+            goldPerXp: null,
+            chain,
+        });
+    }
+
+    /**
+     * Calculates profit per hour for a recipe when inputs can also be crafted rather than bought.
+     *
+     * Making an input saves gold but costs time, so each input is resolved to whichever of
+     * buying or crafting is cheaper once time is valued at the chain's own profit rate. That
+     * rate depends on the choices made, so it's refined a few times (Dinkelbach's method),
+     * starting from the rate when every input is bought.
+     *
+     * @param {Object} recipeData - A recipe from window.skillItemsData.
+     * @param {number} sellPriceWithTax - What one crafted item sells for.
+     * @param {number|null} buyAllProfitPerHour - Profit per hour when every input is bought,
+     *                                            or null if an input can't be bought.
+     * @returns {Promise<Object|null>} - { profitPerHour, seconds, inputs } for the whole chain,
+     * where seconds is the time to make one item including every crafted input, or null if no
+     * input is worth crafting.
+     */
+    async function calculateChainProfit(recipeData, sellPriceWithTax, buyAllProfitPerHour) {
+        const context = { recipes: new Map(), visiting: new Set([recipeData.name]) };
+        const requirementsArray = Object.values(recipeData.requirements || {});
+        const craftsPerHour = calculateCraftsPerHour(recipeData.wait_length);
+        let timeValue = Math.max(0, (buyAllProfitPerHour || 0) / 3600);
+        let chain = null;
+
+        for (let iteration = 0; iteration < 10; iteration++) {
+            let cost = 0;
+            let seconds = recipeData.wait_length;
+            const inputs = [];
+
+            for (const requirement of requirementsArray) {
+                const itemName = requirement.item?.name;
+                const quantity = requirement.quantity_requirement || 0;
+                if (!itemName || !quantity) {
+                    continue;
+                }
+
+                const input = await resolveItemCost(itemName, timeValue, context, quantity * craftsPerHour);
+                cost += input.cost * quantity;
+                seconds += input.seconds * quantity;
+                inputs.push(Object.assign({ quantity }, input));
+            }
+
+            const profitPerSecond = (sellPriceWithTax - cost) / seconds;
+            chain = { profitPerHour: Math.round(profitPerSecond * 3600), seconds, inputs };
+
+            const nextTimeValue = Math.max(0, profitPerSecond);
+            if (Math.abs(nextTimeValue - timeValue) < 1e-9) {
+                break;
+            }
+            timeValue = nextTimeValue;
+        }
+
+        if (!chain || !chain.inputs.some(input => input.method === 'craft')) {
+            return null;
+        }
+        return chain;
+    }
+
+    /**
+     * Resolves the cheapest way to get one unit of an item: buying it, or crafting it from a
+     * stored recipe with each of its inputs resolved the same way. Options are compared by
+     * gold spent plus time spent, with time valued at timeValue gold per second.
+     *
+     * @param {string} name - The item name.
+     * @param {number} timeValue - What a second of crafting time is worth, in gold.
+     * @param {Object} context - { recipes: Map, visiting: Set } shared across one resolution,
+     *                           caching recipe lookups and guarding against recipe cycles.
+     * @param {number} unitsPerHour - How many units an hour of the top recipe uses, so buying
+     *                               is priced by order book depth like single-step profit.
+     * @returns {Promise<Object>} - { name, method, cost, seconds, skill, inputs }, where method
+     * is 'buy' or 'craft'. Rejects if the item can be neither bought nor crafted.
+     */
+    async function resolveItemCost(name, timeValue, context, unitsPerHour) {
+        let buy = null;
+        try {
+            const { unitPrice } = calculateInputUnitPrice(await getPricedInput(name), unitsPerHour);
+            buy = { name, method: 'buy', cost: unitPrice, seconds: 0, skill: null, inputs: [] };
+        } catch (error) {
+            // It may still be craftable
+        }
+
+        let craft = null;
+        if (!context.visiting.has(name)) {
+            if (!context.recipes.has(name)) {
+                context.recipes.set(name, await getRecipeByNameIndexedDB(name).catch(() => null));
+            }
+            const recipe = context.recipes.get(name);
+
+            if (recipe && recipe.wait_length) {
+                context.visiting.add(name);
+                try {
+                    craft = { name, method: 'craft', cost: 0, seconds: recipe.wait_length, skill: recipe.skill, inputs: [] };
+                    for (const requirement of Object.values(recipe.requirements || {})) {
+                        const inputName = requirement.item?.name;
+                        const quantity = requirement.quantity_requirement || 0;
+                        if (!inputName || !quantity) {
+                            continue;
+                        }
+                        const input = await resolveItemCost(inputName, timeValue, context, unitsPerHour * quantity);
+                        craft.cost += input.cost * quantity;
+                        craft.seconds += input.seconds * quantity;
+                        craft.inputs.push(Object.assign({ quantity }, input));
                     }
+                } catch (error) {
+                    craft = null; // An input can't be bought or crafted
+                } finally {
+                    context.visiting.delete(name);
                 }
             }
+        }
+
+        const effectiveCost = option => option.cost + option.seconds * timeValue;
+        if (buy && (!craft || effectiveCost(buy) <= effectiveCost(craft))) {
+            return buy;
+        }
+        if (craft) {
+            return craft;
+        }
+        throw new Error(`No price or recipe for ${name}`);
+    }
+
+    /**
+     * Looks up an item's price for a profit calculation.
+     *
+     * @param {string} name - The item name.
+     * @returns {Promise<Object>} - The item. Rejects with a readable reason if the price is
+     * unknown or stale, since stale prices are treated as missing.
+     */
+    async function getPricedItem(name) {
+        let item;
+        try {
+            item = await getItemByNameIndexedDB(name);
+        } catch (error) {
+            throw new Error(`No price for ${name}`);
+        }
+        if (isPriceStale(item)) {
+            throw new Error(`Stale price for ${name}`);
+        }
+        return applyPriceStrategy(item);
+    }
+
+    /**
+     * Looks up a recipe input's price for a profit calculation, along with its order book when
+     * a fresh one is stored (see calculateInputUnitPrice).
+     *
+     * @param {string} name - The item name.
+     * @returns {Promise<Object>} - A copy of the item. Rejects like getPricedItem.
+     */
+    async function getPricedInput(name) {
+        const item = Object.assign({}, await getPricedItem(name));
+        if (!item.override && !item.vendor) {
+            const orderBook = await getOrderBookByNameIndexedDB(name).catch(() => null);
+            if (orderBook && orderBook.levels.length > 0 && !isTimestampStale(orderBook.capturedAt)) {
+                item.levels = orderBook.levels;
+            }
+        }
+        return item;
+    }
 
-            // Skip if we don't have all ingredient prices (but allow totalCost = 0 for gathering skills)
-            if (!hasAllPrices) {
-                continue;
+    /**
+     * Looks up a crafted item's price for a profit calculation. An item with a vendor value
+     * override is still looked up on the market, so the better paying sale channel can be picked
+     * (see calculateSaleValue).
+     *
+     * @param {string} name - The item name.
+     * @returns {Promise<Object>} - The market item with the vendor value as 'vendorPrice', or
+     * the item as returned by getPricedInput. Rejects like getPricedItem.
+     */
+    async function getPricedOutput(name) {
+        const override = findPriceOverride(name);
+        if (override && override.mode === 'vendor') {
+            const item = await getMarketItemByNameIndexedDB(name).catch(() => null);
+            if (item && !isPriceStale(item)) {
+                return Object.assign({}, applyPriceStrategy(item), { vendorPrice: override.price });
             }
+        }
+        return getPricedInput(name);
+    }
 
-            // Calculate profit per hour
-            const totalProfit = recipeSellPriceWithTax - totalCost;
-            const numPerHour = 3600 / craftTimeSeconds;
-            const profitPerHour = Math.round(totalProfit * numPerHour);
+    /**
+     * Values a market item using the reference price strategy from the settings (see
+     * calculateReferencePrice), from the fresh price history and order book in the price cache.
+     * Overrides and vendor items keep their price.
+     *
+     * @param {Object} item - An item as returned by getItemByNameIndexedDB.
+     * @returns {Object} - The item, or a copy with minimumPrice set to the reference price and the
+     * latest minimum kept as 'latestMinimumPrice'.
+     */
+    function applyPriceStrategy(item) {
+        const settings = getSettings();
+        if (item.override || item.vendor || settings.priceStrategy === 'minimum' || priceCache === null) {
+            return item;
+        }
 
-            // Create and inject profit display using native-looking classes
-            // Avoid obvious marker class names like 'profit-display'
-            const profitSpan = document.createElement('span');
-            profitSpan.className = 'rounded-md px-2 py-1 text-xs font-semibold ' +
-                (profitPerHour >= 0
-                    ? 'bg-gray-400/10 text-green-400 ring-1 ring-green-400/20'
-                    : 'bg-red-400/10 text-red-400 ring-1 ring-red-400/20');
-            profitSpan.textContent = `${profitPerHour.toLocaleString()}/hr`;
-            // Add a data attribute that looks native instead of a class
-            profitSpan.setAttribute('data-metric', 'rate');
+        // Same cutoff as isTimestampStale, worked out once rather than per observation
+        const cutoff = settings.stalePriceHours ? Date.now() - settings.stalePriceHours * 3600 * 1000 : null;
+        const isFresh = timestamp => cutoff === null || (Boolean(timestamp) && timestamp >= cutoff);
 
-            // Append the profit to the list item that we already found
-            // Use requestAnimationFrame to make it seem like natural rendering
-            requestAnimationFrame(() => {
-                listItem.appendChild(profitSpan);
-            });
+        const key = priceCacheKey(item.name, item.tier);
+        const history = (priceCache.history?.get(key) || [])
+            .filter(observation => isFresh(observation.capturedAt))
+            .map(observation => observation.price);
+        const orderBook = priceCache.orderBooks.get(key);
+        const levels = orderBook && isFresh(orderBook.capturedAt) ? orderBook.levels : [];
+
+        const reference = calculateReferencePrice(item, {
+            strategy: settings.priceStrategy,
+            history,
+            levels,
+            historyCount: settings.priceHistoryCount,
+            minQuantity: settings.priceDepthQuantity,
+        });
+        const priceSource = reference.strategy === settings.priceStrategy
+            ? `market ${PRICE_STRATEGIES[reference.strategy]}`
+            : `market ${PRICE_STRATEGIES[reference.strategy]} (no ${PRICE_STRATEGIES[settings.priceStrategy]} data)`;
 
-            // Add small random delay between injections to avoid patterns
-            await new Promise(resolve => setTimeout(resolve, Math.random() * 50));
+        return Object.assign({}, item, {
+            minimumPrice: reference.price,
+            latestMinimumPrice: item.minimumPrice,
+            priceSource,
+        });
+    }
+
+    /**
+     * Creates the profit/hr badge element for a recipe.
+     *
+     * @param {Object} profit - The result of calculateRecipeProfit.
+     * @returns {HTMLSpanElement}
+     */
+    function createProfitBadge(profit) {
+        const { profitPerHour, oldestPriceSeen, xpPerHour, goldPerXp, chain } = profit;
+        const settings = getSettings();
+        // Only the chain profit is known when an input has to be crafted
+        const headlineProfit = profitPerHour ?? chain.profitPerHour;
+
+        // Create and inject profit display using native-looking classes
+        // Avoid obvious marker class names like 'profit-display'
+        const profitSpan = document.createElement('span');
+        profitSpan.className = 'rounded-md px-2 py-1 text-xs font-semibold ' +
+            (headlineProfit >= 0
+                ? 'bg-gray-400/10 text-green-400 ring-1 ring-green-400/20'
+                : 'bg-red-400/10 text-red-400 ring-1 ring-red-400/20');
+        const parts = [];
+        if (settings.showProfit && profitPerHour !== null) {
+            // Flag when selling to a vendor beats the market
+            const channel = profit.sellSource === 'vendor sale' ? ' (vendor)' : '';
+            parts.push(`${profitPerHour.toLocaleString()}/hr${channel}`);
+        }
+        if (chain && (settings.showChainProfit || (settings.showProfit && profitPerHour === null))) {
+            parts.push(`⛓ ${chain.profitPerHour.toLocaleString()}/hr`);
+        }
+        if (settings.showXpPerHour && xpPerHour !== null) {
+            parts.push(`${xpPerHour.toLocaleString()} xp/hr`);
+        }
+        if (settings.showGoldPerXp && goldPerXp !== null) {
+            parts.push(`${goldPerXp.toLocaleString()} g/xp`);
+        }
+        if (settings.showPriceAge && oldestPriceSeen !== null) {
+            parts.push(formatAge(Date.now() - oldestPriceSeen));
+        }
+        profitSpan.textContent = parts.join(' · ');
+        // Keep the element even when every metric is turned off so the recipe isn't reprocessed
+        profitSpan.hidden = parts.length === 0;
+        // Add a data attribute that looks native instead of a class
+        profitSpan.setAttribute('data-metric', 'rate');
+
+        attachProfitBreakdown(profitSpan, profit);
+
+        return profitSpan;
+    }
+
+    /**
+     * Creates a badge showing only XP/hr, for a recipe whose profit can't be calculated. XP/hr
+     * doesn't need prices, so it's still there when picking a recipe to level with.
+     *
+     * @param {Object} recipeData - A recipe from window.skillItemsData.
+     * @param {string} reason - Why the profit is unknown, shown on hover.
+     * @returns {HTMLSpanElement|null} - The badge, or null if XP/hr is hidden or unknown.
+     */
+    function createXpBadge(recipeData, reason) {
+        const xpPerHour = calculateXpPerHour(recipeData);
+        if (!getSettings().showXpPerHour || xpPerHour === null) {
+            return null;
+        }
+
+        const xpSpan = document.createElement('span');
+        xpSpan.className = 'rounded-md px-2 py-1 text-xs font-semibold bg-gray-400/10 text-gray-400 ring-1 ring-gray-400/20';
+        xpSpan.textContent = `${xpPerHour.toLocaleString()} xp/hr`;
+        xpSpan.title = `No profit: ${reason}`;
+        xpSpan.setAttribute('data-metric', 'rate');
+        return xpSpan;
+    }
+
+    /**
+     * Attaches the profit breakdown popover to a badge.
+     *
+     * Hovering the badge shows the breakdown, and clicking pins it open until the badge is
+     * clicked again. Clicks are stopped from reaching the recipe button underneath.
+     *
+     * @param {HTMLElement} badge - The profit badge.
+     * @param {Object} profit - The result of calculateRecipeProfit.
+     */
+    function attachProfitBreakdown(badge, profit) {
+        let pinned = false;
+
+        const show = () => showProfitBreakdown(badge, profit);
+        const hide = () => {
+            if (!pinned) {
+                hideProfitBreakdown();
+            }
+        };
+
+        badge.style.cursor = 'pointer';
+        badge.addEventListener('mouseenter', show);
+        badge.addEventListener('mouseleave', hide);
+        badge.addEventListener('click', event => {
+            event.preventDefault();
+            event.stopPropagation();
+            pinned = !pinned;
+            if (pinned) {
+                show();
+            } else {
+                hideProfitBreakdown();
+            }
+        });
+    }
+
+    /**
+     * Shows the profit breakdown for a recipe next to its badge.
+     *
+     * @param {HTMLElement} badge - The profit badge to position the popover against.
+     * @param {Object} profit - The result of calculateRecipeProfit.
+     */
+    function showProfitBreakdown(badge, profit) {
+        let popover = document.querySelector('[data-panel="breakdown"]');
+        if (!popover) {
+            popover = document.createElement('div');
+            popover.setAttribute('data-panel', 'breakdown');
+            popover.style.cssText = 'position:fixed;z-index:10000;min-width:240px;padding:8px 10px;border-radius:6px;' +
+                'background:#111827;color:#e5e7eb;font-size:12px;box-shadow:0 4px 12px rgba(0,0,0,0.5);pointer-events:none;';
+            document.body.appendChild(popover);
+        }
+
+        const format = value => Math.round(value).toLocaleString();
+        const rows = [
+            ['Sell price', `${format(profit.sellPrice)} (${profit.sellSource})`],
+        ];
+        if (profit.sellPriceWithTax !== profit.sellPrice) {
+            const taxPercent = Math.round((1 - profit.taxMultiplier) * 1000) / 10;
+            rows.push([`Tax (${taxPercent}%)`, `-${format(profit.sellPrice - profit.sellPriceWithTax)}`]);
+        }
+        rows.push(['Sell value', format(profit.sellPriceWithTax)]);
+        if (profit.sellSource === 'vendor sale' && profit.marketSaleValue !== null) {
+            rows.push(['Market sale value (after tax)', format(profit.marketSaleValue)]);
+        } else if (profit.sellSource !== 'vendor sale' && profit.vendorSaleValue !== null) {
+            rows.push(['Vendor sale value', format(profit.vendorSaleValue)]);
+        }
+        profit.requirements.forEach(requirement => {
+            rows.push([
+                `${requirement.name} (${requirement.source})`,
+                `${format(requirement.unitPrice)} × ${requirement.quantity} = -${format(requirement.unitPrice * requirement.quantity)}`,
+            ]);
+        });
+        rows.push(['Crafts per hour', `${(Math.round(profit.craftsPerHour * 10) / 10).toLocaleString()} (${profit.craftTimeSeconds}s each)`]);
+        rows.push(['Profit per hour', profit.profitPerHour === null ? profit.unpricedReason : format(profit.profitPerHour)]);
+        if (profit.xpPerHour !== null) {
+            rows.push(['XP per hour', format(profit.xpPerHour)]);
+        }
+        if (profit.goldPerXp !== null) {
+            rows.push(['Gold per XP', profit.goldPerXp.toLocaleString()]);
+        }
+        if (profit.chain) {
+            const addCraftedInputs = (inputs, depth) => {
+                inputs.filter(input => input.method === 'craft').forEach(input => {
+                    rows.push([
+                        `${'· '.repeat(depth)}Make ${input.name} (${input.skill})`,
+                        `${format(input.cost)} × ${input.quantity}, ${Math.round(input.seconds)}s each`,
+                    ]);
+                    addCraftedInputs(input.inputs, depth + 1);
+                });
+            };
+            addCraftedInputs(profit.chain.inputs, 0);
+            rows.push(['Chain time per craft', `${Math.round(profit.chain.seconds)}s`]);
+            rows.push(['Chain profit per hour', format(profit.chain.profitPerHour)]);
+        }
+        if (profit.oldestPriceSeen !== null) {
+            rows.push(['Oldest price used', new Date(profit.oldestPriceSeen).toLocaleString()]);
+        }
+
+        const table = document.createElement('table');
+        table.style.cssText = 'width:100%;border-collapse:collapse;';
+        rows.forEach(([label, value]) => {
+            const row = table.insertRow();
+            const labelCell = row.insertCell();
+            const valueCell = row.insertCell();
+            labelCell.textContent = label;
+            valueCell.textContent = value;
+            labelCell.style.cssText = 'padding:1px 8px 1px 0;color:#9ca3af;';
+            valueCell.style.cssText = 'padding:1px 0;text-align:right;white-space:nowrap;';
+        });
+        popover.replaceChildren(table);
+
+        const rect = badge.getBoundingClientRect();
+        popover.style.display = 'block';
+        popover.style.top = `${Math.min(rect.bottom + 6, window.innerHeight - popover.offsetHeight - 6)}px`;
+        popover.style.left = `${Math.max(6, Math.min(rect.left, window.innerWidth - popover.offsetWidth - 6))}px`;
+    }
+
+    /**
+     * Hides the profit breakdown popover, if shown.
+     */
+    function hideProfitBreakdown() {
+        const popover = document.querySelector('[data-panel="breakdown"]');
+        if (popover) {
+            popover.style.display = 'none';
         }
     }
 
@@ -415,6 +3584,9 @@
     /**
      * Finds a vendor item by its name.
      *
+     * Shop prices captured from the game take priority. VENDOR_ITEMS is only used for items
+     * that haven't been seen in a shop yet.
+     *
      * @param {string} name - The name of the vendor item to find.
      * @returns {Object|null} - Returns an object representing the vendor item if found,
      * or null if no item with the given name exists. The object format is as follows:
@@ -432,12 +3604,25 @@
      * }
      */
     function findVendorItemByName(name) {
-        return VENDOR_ITEMS.find(item => item.name === name) || null;
+        return getVendorItemsByName().get(name) || null;
+    }
+
+    /**
+     * Returns the vendor item lookup, seeding it from the gold-priced VENDOR_ITEMS on first use.
+     *
+     * @returns {Map<string, Object>}
+     */
+    function getVendorItemsByName() {
+        if (vendorItemsByName === null) {
+            vendorItemsByName = new Map(VENDOR_ITEMS.filter(isGoldVendorItem).map(item => [item.name, item]));
+        }
+        return vendorItemsByName;
     }
 
 
     /**
-     * Data taken from static game files.
+     * Data taken from static game files. Only used as a fallback seed; shop prices captured
+     * from the game replace these entries.
      */
     const VENDOR_ITEMS = [
            {